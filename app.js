@@ -13,527 +13,3884 @@ document.addEventListener('DOMContentLoaded', () => {
     const toggleJsonUploadBtn = document.getElementById('toggle-json-upload');
     const jsonUploadContainer = document.getElementById('json-upload-container');
 
+    const employeeSheetUpload = document.getElementById('employee-sheet-upload');
+    const toggleSheetUploadBtn = document.getElementById('toggle-sheet-upload');
+    const sheetUploadContainer = document.getElementById('sheet-upload-container');
+    const columnMappingForm = document.getElementById('column-mapping-form');
+    const columnMappingFields = document.getElementById('column-mapping-fields');
+
+    const dataValidationReport = document.getElementById('data-validation-report');
+    const dataValidationSummary = document.getElementById('data-validation-summary');
+    const dataValidationTable = document.getElementById('data-validation-table');
+    const dataValidationTableBody = document.querySelector('#data-validation-table tbody');
+    const dataValidationWarnings = document.getElementById('data-validation-warnings');
+    const revalidateBtn = document.getElementById('revalidate-data');
+    const skipInvalidRowsBtn = document.getElementById('skip-invalid-rows');
+    const continueValidationBtn = document.getElementById('continue-validation');
+    const cancelValidationBtn = document.getElementById('cancel-validation');
+
+    const dataUpdateReport = document.getElementById('data-update-report');
+    const dataUpdateSummary = document.getElementById('data-update-summary');
+    const dataUpdateDetails = document.getElementById('data-update-details');
+    const confirmDataUpdateBtn = document.getElementById('confirm-data-update');
+    const cancelDataUpdateBtn = document.getElementById('cancel-data-update');
+
+    const appStatusP = document.getElementById('app-status');
+    const exportWorkspaceBtn = document.getElementById('export-workspace');
+    const workspaceImportModeSelect = document.getElementById('workspace-import-mode');
+    const workspaceUpload = document.getElementById('workspace-upload');
+    const storageUsageP = document.getElementById('storage-usage');
     const excelUpload = document.getElementById('excel-upload');
+    const excelHasHeaderCheckbox = document.getElementById('excel-has-header');
+    const excelIdColumnSelect = document.getElementById('excel-id-column');
+    const excelImportModeSelect = document.getElementById('excel-import-mode');
+    const invitedImportReport = document.getElementById('invited-import-report');
+    const invitedImportSummary = document.getElementById('invited-import-summary');
+    const invitedImportDetails = document.getElementById('invited-import-details');
+    const applyInvitedImportBtn = document.getElementById('apply-invited-import');
+    const cancelInvitedImportBtn = document.getElementById('cancel-invited-import');
     const toggleExcelUploadBtn = document.getElementById('toggle-excel-upload');
     const excelUploadContainer = document.getElementById('excel-upload-container');
 
     const searchInput = document.getElementById('search-input');
-    const searchCityInput = document.getElementById('search-city');
+    const filterSelects = {
+        city: document.getElementById('filter-city'),
+        workLocation: document.getElementById('filter-work-location'),
+        division: document.getElementById('filter-division'),
+        jobTitle: document.getElementById('filter-job-title'),
+        gender: document.getElementById('filter-gender')
+    };
+    const filterResponsibleOnly = document.getElementById('filter-responsible-only');
+    const resetFiltersBtn = document.getElementById('reset-filters');
+    const searchSelectionBar = document.getElementById('search-selection-bar');
+    const searchCount = document.getElementById('search-count');
+    const selectAllResults = document.getElementById('select-all-results');
+    const addSelectedBtn = document.getElementById('add-selected');
     const searchResults = document.getElementById('search-results');
     
+    const ruleSelect = document.getElementById('rule-select');
+    const ruleNameInput = document.getElementById('rule-name');
+    const ruleClausesList = document.getElementById('rule-clauses');
+    const addRuleClauseBtn = document.getElementById('add-rule-clause');
+    const ruleIncludeInput = document.getElementById('rule-include');
+    const ruleExcludeInput = document.getElementById('rule-exclude');
+    const saveRuleBtn = document.getElementById('save-rule');
+    const deleteRuleBtn = document.getElementById('delete-rule');
+    const runRuleBtn = document.getElementById('run-rule');
+    const ruleDiffReport = document.getElementById('rule-diff-report');
+    const ruleDiffSummary = document.getElementById('rule-diff-summary');
+    const ruleDiffDetails = document.getElementById('rule-diff-details');
+    const applyRuleBtn = document.getElementById('apply-rule');
+    const cancelRuleBtn = document.getElementById('cancel-rule');
+
+    const eventSelect = document.getElementById('event-select');
+    const newEventBtn = document.getElementById('new-event');
+    const duplicateEventBtn = document.getElementById('duplicate-event');
+    const archiveEventBtn = document.getElementById('archive-event');
+    const deleteEventBtn = document.getElementById('delete-event');
+    const eventNameInput = document.getElementById('event-name');
+    const eventDateInput = document.getElementById('event-date');
+    const eventSubjectInput = document.getElementById('event-subject');
+    const eventTimeInput = document.getElementById('event-time');
+    const eventHijriOffsetSelect = document.getElementById('event-hijri-offset');
+    const eventPlaceInput = document.getElementById('event-place');
+    const eventSignatoryInput = document.getElementById('event-signatory');
+    const eventCustomFieldsDiv = document.getElementById('event-custom-fields');
+    const addCustomFieldBtn = document.getElementById('add-custom-field');
+    const eventVariablesHint = document.getElementById('event-variables-hint');
+    const eventNotesInput = document.getElementById('event-notes');
+
     const invitedListDiv = document.getElementById('invited-list');
     const wordTemplateUpload = document.getElementById('word-template-upload');
+    const templateReportDiv = document.getElementById('template-report');
+    const templateNameInput = document.getElementById('template-name');
+    const templateSelect = document.getElementById('template-select');
+    const templateLibraryDiv = document.getElementById('template-library');
+    const templateReplaceUpload = document.getElementById('template-replace-upload');
     const generateWordBtn = document.getElementById('generate-word');
+    const labelFormatSelect = document.getElementById('label-format');
+    const labelRecipientsSelect = document.getElementById('label-recipients');
+    const labelTemplateSelect = document.getElementById('label-template');
+    const labelSheetOptions = document.getElementById('label-sheet-options');
+    const labelRowsInput = document.getElementById('label-rows');
+    const labelColsInput = document.getElementById('label-cols');
+    const labelMarginTopInput = document.getElementById('label-margin-top');
+    const labelMarginBottomInput = document.getElementById('label-margin-bottom');
+    const labelMarginRightInput = document.getElementById('label-margin-right');
+    const labelMarginLeftInput = document.getElementById('label-margin-left');
+    const generateLabelsBtn = document.getElementById('generate-labels');
+    const groupingModeSelect = document.getElementById('grouping-mode');
+    const fileNamePatternInput = document.getElementById('file-name-pattern');
+    const outputModeSelect = document.getElementById('output-mode');
+    const previewWordBtn = document.getElementById('preview-word');
+    const previewPanel = document.getElementById('preview-panel');
     const clearAllBtn = document.getElementById('clear-all-btn');
+    const exportInvitedListBtn = document.getElementById('export-invited-list');
+    const statusFilterSelect = document.getElementById('status-filter');
+    const statusCountsSpan = document.getElementById('status-counts');
+    const bulkStatusSelect = document.getElementById('bulk-status');
+    const applyBulkStatusBtn = document.getElementById('apply-bulk-status');
+    const exportAttendanceBtn = document.getElementById('export-attendance');
+    const exportNonRespondersBtn = document.getElementById('export-non-responders');
+    const generateRemindersBtn = document.getElementById('generate-reminders');
+
+    const referencePatternInput = document.getElementById('reference-pattern');
+    const referenceNextSeqInput = document.getElementById('reference-next-seq');
+    const registrySearchInput = document.getElementById('registry-search');
+    const registryCountSpan = document.getElementById('registry-count');
+    const letterRegistryTableBody = document.querySelector('#letter-registry-table tbody');
+    const exportRegistryBtn = document.getElementById('export-registry');
+
+    const toggleGrammarManagerBtn = document.getElementById('toggle-grammar-manager');
+    const grammarManagerContainer = document.getElementById('grammar-manager-container');
+    const grammarTableBody = document.querySelector('#grammar-table tbody');
+    const grammarForm = document.getElementById('grammar-form');
+    const exportGrammarBtn = document.getElementById('export-grammar');
+    const importGrammarUpload = document.getElementById('import-grammar-upload');
+    const resetGrammarBtn = document.getElementById('reset-grammar');
 
     // --- Application State Variables ---
     let employeeData = []; // Holds the master list of all employees
-    let invitedList = [];  // Holds the list of employees selected for invitation
-    let wordTemplate = null; // Holds the binary content of the uploaded .docx template
+    let invitedList = [];  // Holds the list of employees selected for invitation (of the active event)
+    let events = []; // Holds the invitation events, each with its own invited list
+    let activeEventId = null; // The id of the event being prepared
+    let wordTemplate = null; // Holds the binary content of the selected .docx template
+    let templateLibrary = []; // Holds the templates stored in IndexedDB
+    let selectedTemplateId = null; // The id of the template used for generation
+    const excludedGroupKeys = new Set(); // Group keys excluded from export in the preview panel
 
     // --- UI Visibility Toggles ---
     toggleJsonUploadBtn.addEventListener('click', () => {
         jsonUploadContainer.classList.toggle('hidden');
     });
 
+    toggleSheetUploadBtn.addEventListener('click', () => {
+        sheetUploadContainer.classList.toggle('hidden');
+    });
+
     toggleExcelUploadBtn.addEventListener('click', () => {
         excelUploadContainer.classList.toggle('hidden');
     });
 
     // --- Data Persistence ---
 
+    // Browsers allow about 5 million characters of localStorage per site.
+    const LOCAL_STORAGE_LIMIT = 5 * 1024 * 1024;
+    const LOCAL_STORAGE_WARNING_RATIO = 0.8;
+    const STORAGE_USAGE_DELAY = 500; // Milliseconds without saves before the usage is measured again
+    let storageWarningShown = false; // The quota alert is shown once per session
+    let storageUsageTimer = null;
+
     /**
-     * Loads the master employee data from localStorage.
+     * Writes a value to localStorage, warning the user instead of failing
+     * silently when the storage quota is exceeded.
+     * @param {string} key - The localStorage key.
+     * @param {string} value - The value to store.
+     * @returns {boolean} - True if the value was saved.
      */
-    function loadEmployeeData() {
-        const data = localStorage.getItem('employeeData');
-        employeeData = data ? JSON.parse(data) : [];
+    function setStoredItem(key, value) {
+        try {
+            localStorage.setItem(key, value);
+            scheduleStorageUsageRender();
+            return true;
+        } catch (error) {
+            console.error(`Error saving "${key}" to localStorage:`, error);
+            alert('تعذر الحفظ: مساحة التخزين في المتصفح ممتلئة. قم بتصدير نسخة احتياطية ثم احذف الاجتماعات المؤرشفة أو السجلات القديمة.');
+            return false;
+        }
     }
 
     /**
-     * Loads the list of invited employees from localStorage and re-renders the list.
+     * Estimates the localStorage space used by the application, in characters.
+     * @returns {number} - The number of characters of every key and value.
      */
-    function loadInvitedList() {
-        const data = localStorage.getItem('invitedListData');
-        invitedList = data ? JSON.parse(data) : [];
-        renderInvitedList();
+    function getStorageUsage() {
+        let used = 0;
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            used += key.length + (localStorage.getItem(key) || '').length;
+        }
+        return used;
     }
 
     /**
-     * Saves the current list of invited employees to localStorage.
+     * Measures the storage usage again once the saves of the current user action
+     * are done, instead of after every single write.
      */
-    function saveInvitedList() {
-        localStorage.setItem('invitedListData', JSON.stringify(invitedList));
+    function scheduleStorageUsageRender() {
+        clearTimeout(storageUsageTimer);
+        storageUsageTimer = setTimeout(renderStorageUsage, STORAGE_USAGE_DELAY);
     }
 
-    // --- JSON Data Upload ---
+    /**
+     * Shows the storage usage in the backup section, highlighted when it is close to the limit.
+     */
+    function renderStorageUsage() {
+        const ratio = getStorageUsage() / LOCAL_STORAGE_LIMIT;
+        storageUsageP.textContent = `مساحة التخزين المستعملة: ${Math.round(ratio * 100)}% من الحد المسموح به في المتصفح تقريبا.`;
+        storageUsageP.classList.toggle('report-warning-text', ratio >= LOCAL_STORAGE_WARNING_RATIO);
+        if (ratio >= LOCAL_STORAGE_WARNING_RATIO) {
+            storageUsageP.textContent += ' اقتربت المساحة من الامتلاء: صدّر نسخة احتياطية وخفف البيانات المحفوظة.';
+            if (!storageWarningShown) {
+                storageWarningShown = true;
+                alert(storageUsageP.textContent);
+            }
+        }
+    }
 
     /**
-     * Handles the master employee data upload from a JSON file.
+     * Loads the master employee data from localStorage and rebuilds the search index
+     * and the filter dropdowns.
      */
-    jsonUpload.addEventListener('change', (event) => {
-        const file = event.target.files[0];
-        if (!file) return;
+    function loadEmployeeData() {
+        const data = localStorage.getItem('employeeData');
+        employeeData = data ? JSON.parse(data) : [];
+        buildSearchIndex();
+        renderFilterOptions();
+    }
 
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const data = JSON.parse(e.target.result);
-                if (data.employees && Array.isArray(data.employees)) {
-                    localStorage.setItem('employeeData', JSON.stringify(data.employees));
-                    loadEmployeeData();
-                    alert('تم تحميل بيانات الموظفين بنجاح!');
-                    jsonUploadContainer.classList.add('hidden');
-                } else {
-                    alert('ملف JSON غير صالح. يجب أن يحتوي على مصفوفة باسم "employees".');
-                }
-            } catch (error) {
-                console.error('Error parsing JSON:', error);
-                alert('حدث خطأ أثناء قراءة الملف. الرجاء التأكد من أن الملف بصيغة JSON صحيحة.');
-            }
-        };
-        reader.readAsText(file);
-    });
+    /**
+     * Saves the current list of invited employees into the active event. The
+     * tracking of employees removed from the list is dropped.
+     */
+    function saveInvitedList() {
+        const event = getActiveEvent();
+        const invitedKeys = new Set(invitedList.map(emp => employeeKey(emp.employeeId)));
+        Object.keys(event.tracking).forEach(key => {
+            if (!invitedKeys.has(key)) delete event.tracking[key];
+        });
+        event.invitedList = invitedList;
+        saveEvents();
+        renderEventSelect();
+    }
 
-    // --- Search Functionality ---
+    // --- Events ---
 
     /**
-     * Filters the master employee list based on search terms and displays the results.
+     * Creates a new event record.
+     * @param {string} name - The name of the event.
+     * @param {Object} [fields] - Initial values overriding the defaults.
+     * @returns {Object} - The event {id, name, invitedList, templateId, date, time, place, subject,
+     *          signatory, hijriOffset, customFields, responsibleOverrides, groupingMode, fileNamePattern,
+     *          tracking, notes, appliedRuleId, archived, createdAt}.
      */
-    function performSearch() {
-        const searchTerm = searchInput.value.toLowerCase().trim();
-        const cityTerm = searchCityInput.value.toLowerCase().trim();
-        searchResults.innerHTML = '';
+    function createEvent(name, fields = {}) {
+        return {
+            id: `event-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+            name,
+            invitedList: [],
+            templateId: null,
+            date: '',
+            time: '',
+            place: '',
+            subject: '',
+            signatory: '',
+            hijriOffset: 0, // Days added to the computed Hijri date to match the official calendar
+            customFields: [], // [{key, value}] passed to the templates as extra variables
+            responsibleOverrides: {}, // Addressee chosen per group key: {mode: 'person'|'none', employeeId, acting}
+            groupingMode: 'location', // One of GROUPING_MODES
+            tracking: {}, // Invitation status per employee key: {status, note, updatedAt, remindedAt, history}
+            fileNamePattern: DEFAULT_FILE_NAME_PATTERN,
+            notes: '',
+            appliedRuleId: null,
+            archived: false,
+            createdAt: new Date().toISOString(),
+            ...fields
+        };
+    }
 
-        if (searchTerm.length === 0 && cityTerm.length === 0) {
-            return;
+    /**
+     * Loads the events from localStorage and activates the last used one.
+     * The single invited list of older versions becomes the first event.
+     */
+    function loadEvents() {
+        const data = localStorage.getItem('invitationEvents');
+        // Events saved by older versions get the fields added since then.
+        events = (data ? JSON.parse(data) : []).map(event => createEvent(event.name, event));
+        if (events.length === 0) {
+            const legacyList = localStorage.getItem('invitedListData');
+            events.push(createEvent('الاجتماع الحالي', {
+                invitedList: legacyList ? JSON.parse(legacyList) : [],
+                appliedRuleId: localStorage.getItem('appliedRuleId')
+            }));
+            localStorage.removeItem('invitedListData');
+            localStorage.removeItem('appliedRuleId');
         }
+        const savedId = localStorage.getItem('activeEventId');
+        const active = events.find(e => e.id === savedId) || events.find(e => !e.archived) || events[0];
+        switchEvent(active.id);
+    }
 
-        const filteredEmployees = employeeData.filter(emp => {
-            const empName = (emp.fullName || '').toLowerCase();
-            const empId = (emp.employeeId || '').toString();
-            const empCity = (emp.city || '').toLowerCase();
-            const postResponsibility = (emp.postResponsibility || '').trim();
-
-            const nameMatch = searchTerm ? (empName.includes(searchTerm) || empId.includes(searchTerm)) : true;
-            const cityMatch = cityTerm ? empCity.includes(cityTerm) : true;
+    /**
+     * Saves the events and the active event id to localStorage.
+     */
+    function saveEvents() {
+        setStoredItem('invitationEvents', JSON.stringify(events));
+        setStoredItem('activeEventId', activeEventId);
+    }
 
-            // Special filter for "responsible" people if searching by city.
-            const responsibleMatch = cityTerm 
-                ? (postResponsibility.includes("رئيس") || postResponsibility.includes("رئيسة") || postResponsibility.includes("وكيل") || postResponsibility.includes("وكيلة"))
-                : true;
+    /**
+     * Returns the event being prepared.
+     * @returns {Object} - The active event.
+     */
+    function getActiveEvent() {
+        return events.find(e => e.id === activeEventId);
+    }
 
-            return nameMatch && cityMatch && responsibleMatch;
-        });
+    /**
+     * Makes an event the active one: its invitees, details and template are loaded,
+     * and reports still waiting for confirmation are closed.
+     * @param {string} eventId - The id of the event.
+     */
+    function switchEvent(eventId) {
+        const event = events.find(e => e.id === eventId);
+        activeEventId = event.id;
+        invitedList = event.invitedList;
+        saveEvents();
+        // Pending rule results and imports were computed against the previous event's list.
+        pendingRuleResult = null;
+        ruleDiffReport.classList.add('hidden');
+        closeInvitedImport();
 
-        displaySearchResults(filteredEmployees);
+        eventNameInput.value = event.name;
+        eventSubjectInput.value = event.subject;
+        eventDateInput.value = event.date;
+        eventTimeInput.value = event.time;
+        eventHijriOffsetSelect.value = String(event.hijriOffset);
+        eventPlaceInput.value = event.place;
+        eventSignatoryInput.value = event.signatory;
+        eventNotesInput.value = event.notes;
+        groupingModeSelect.value = event.groupingMode;
+        fileNamePatternInput.value = event.fileNamePattern;
+        renderEventCustomFields();
+        renderEventVariablesHint();
+        renderEventSelect();
+        renderInvitedList();
+        if (templateLibrary.length > 0) selectTemplate(findEventTemplateId(event));
     }
 
-    searchInput.addEventListener('keyup', performSearch);
-    searchCityInput.addEventListener('keyup', performSearch);
-
     /**
-     * Renders the search results in the UI.
-     * @param {Array<Object>} employees - The array of employees to display.
+     * Returns the template to use for an event: its own choice if still in the
+     * library, otherwise the default template.
+     * @param {Object} event - The event.
+     * @returns {string|null} - The template id.
      */
-    function displaySearchResults(employees) {
-        searchResults.innerHTML = '';
-        employees.forEach(emp => {
-            const empDiv = document.createElement('div');
-            empDiv.className = 'employee-item';
-            empDiv.innerHTML = `
-                <div class="employee-info">
-                    <span>${emp.fullName} (الرقم: ${emp.employeeId})</span>
-                    <span class="details">${emp.workLocation} | ${emp.city} | ${emp.division}</span>
-                </div>
-            `;
-            empDiv.dataset.employeeId = emp.employeeId;
-            
-            empDiv.addEventListener('click', () => {
-                addToInvitedList(emp.employeeId);
-            });
+    function findEventTemplateId(event) {
+        const template = templateLibrary.find(t => t.id === event.templateId)
+            || templateLibrary.find(t => t.isDefault) || templateLibrary[0];
+        return template ? template.id : null;
+    }
 
-            searchResults.appendChild(empDiv);
+    /**
+     * Renders the event dropdown (archived events are grouped at the end) and
+     * the label of the archive button.
+     */
+    function renderEventSelect() {
+        eventSelect.innerHTML = '';
+        const archivedGroup = document.createElement('optgroup');
+        archivedGroup.label = 'الأرشيف';
+        events.forEach(event => {
+            const option = document.createElement('option');
+            option.value = event.id;
+            option.textContent = `${event.name} (${event.invitedList.length})`;
+            (event.archived ? archivedGroup : eventSelect).appendChild(option);
         });
+        if (archivedGroup.children.length > 0) eventSelect.appendChild(archivedGroup);
+        eventSelect.value = activeEventId;
+        archiveEventBtn.textContent = getActiveEvent().archived ? 'إلغاء الأرشفة' : 'أرشفة';
     }
 
-    // --- Invited List Management ---
+    eventSelect.addEventListener('change', () => {
+        switchEvent(eventSelect.value);
+    });
+
+    newEventBtn.addEventListener('click', () => {
+        const name = prompt('اسم الاجتماع الجديد:');
+        if (!name || !name.trim()) return;
+        const event = createEvent(name.trim());
+        events.push(event);
+        switchEvent(event.id);
+    });
+
+    duplicateEventBtn.addEventListener('click', () => {
+        const source = getActiveEvent();
+        const name = prompt('اسم النسخة:', `${source.name} (نسخة)`);
+        if (!name || !name.trim()) return;
+        const event = createEvent(name.trim(), {
+            invitedList: source.invitedList.map(emp => ({ ...emp })),
+            templateId: source.templateId,
+            place: source.place,
+            subject: source.subject,
+            signatory: source.signatory,
+            hijriOffset: source.hijriOffset,
+            customFields: source.customFields.map(field => ({ ...field })),
+            responsibleOverrides: JSON.parse(JSON.stringify(source.responsibleOverrides)),
+            groupingMode: source.groupingMode,
+            fileNamePattern: source.fileNamePattern,
+            notes: source.notes,
+            appliedRuleId: source.appliedRuleId
+        });
+        events.push(event);
+        switchEvent(event.id);
+    });
+
+    archiveEventBtn.addEventListener('click', () => {
+        const event = getActiveEvent();
+        event.archived = !event.archived;
+        saveEvents();
+        renderEventSelect();
+    });
+
+    deleteEventBtn.addEventListener('click', () => {
+        const event = getActiveEvent();
+        if (!confirm(`هل تريد حذف الاجتماع "${event.name}" ولائحة مدعويه نهائيا؟`)) return;
+        events = events.filter(e => e.id !== event.id);
+        if (events.length === 0) events.push(createEvent('اجتماع جديد'));
+        switchEvent((events.find(e => !e.archived) || events[0]).id);
+    });
+
+    // Event listener saving the details of the active event as they are typed.
+    [eventNameInput, eventSubjectInput, eventDateInput, eventTimeInput, eventHijriOffsetSelect,
+        eventPlaceInput, eventSignatoryInput, eventNotesInput].forEach(input => {
+        input.addEventListener('change', () => {
+            const event = getActiveEvent();
+            event.name = eventNameInput.value.trim() || event.name;
+            event.subject = eventSubjectInput.value.trim();
+            event.date = eventDateInput.value;
+            event.time = eventTimeInput.value;
+            event.hijriOffset = Number(eventHijriOffsetSelect.value);
+            event.place = eventPlaceInput.value.trim();
+            event.signatory = eventSignatoryInput.value.trim();
+            event.notes = eventNotesInput.value;
+            eventNameInput.value = event.name;
+            saveEvents();
+            renderEventSelect();
+            renderEventVariablesHint();
+        });
+    });
+
+    // --- Event Template Fields ---
+
+    // Variables describing the active event, supplied to every group document.
+    const EVENT_TEMPLATE_VARIABLES = [
+        'eventName', 'eventSubject', 'eventDate', 'eventDateArabicDigits', 'eventHijriDate',
+        'eventHijriDateArabicDigits', 'eventWeekday', 'eventTime', 'eventTimeArabicDigits',
+        'eventPlace', 'eventSignatory'
+    ];
+    const CUSTOM_FIELD_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
 
     /**
-     * Renders the list of invited employees, grouped by location/division/city.
-     * Highlights "responsible" employees with a special class.
+     * Formats a date in Arabic, e.g. "15 مارس 2026" or "٢٦ رمضان ١٤٤٧ هـ".
+     * @param {string} isoDate - The date as YYYY-MM-DD.
+     * @param {string} calendar - 'gregory' or 'islamic-umalqura'.
+     * @param {string} digits - 'latn' for Latin digits, 'arab' for Arabic-Indic digits.
+     * @param {number} [offsetDays=0] - Days added before formatting.
+     * @returns {string} - The formatted date, or '' if no date is set.
      */
-    function renderInvitedList() {
-        invitedListDiv.innerHTML = '';
+    function formatArabicDate(isoDate, calendar, digits, offsetDays = 0) {
+        if (!isoDate) return '';
+        const date = new Date(`${isoDate}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + offsetDays);
+        return new Intl.DateTimeFormat(`ar-MA-u-ca-${calendar}-nu-${digits}`, {
+            day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC'
+        }).format(date);
+    }
 
-        if (invitedList.length === 0) {
-            return;
-        }
+    /**
+     * Replaces the Latin digits of a string with Arabic-Indic digits.
+     * @param {string} text - The text, e.g. "10:30".
+     * @returns {string} - The converted text, e.g. "١٠:٣٠".
+     */
+    function toArabicIndicDigits(text) {
+        return text.replace(/[0-9]/g, digit => String.fromCharCode(0x0660 + Number(digit)));
+    }
 
-        // 1. Group employees by a composite key for display.
-        const groupedInvitedList = invitedList.reduce((acc, emp) => {
-            const key = `${emp.workLocation || 'N/A'}_${emp.division || 'N/A'}_${emp.city || 'N/A'}`;
-            if (!acc[key]) {
-                acc[key] = {
-                    workLocation: emp.workLocation,
-                    division: emp.division,
-                    city: emp.city,
-                    employees: []
-                };
-            }
-            acc[key].employees.push(emp);
-            return acc;
-        }, {});
-
-        // 2. Render each group with a header.
-        for (const key in groupedInvitedList) {
-            const group = groupedInvitedList[key];
-            
-            const groupHeader = document.createElement('h3');
-            groupHeader.className = 'group-header';
-            groupHeader.textContent = `${group.workLocation || ''} - ${group.division || ''} - ${group.city || ''}`;
-            invitedListDiv.appendChild(groupHeader);
+    /**
+     * Builds the template variables of an event: its details, the pre-formatted
+     * dates and its custom fields.
+     * @param {Object} event - The event.
+     * @returns {Object} - The variables, keyed by template tag name.
+     */
+    function buildEventTemplateData(event) {
+        const data = {
+            eventName: event.name,
+            eventSubject: event.subject,
+            eventDate: formatArabicDate(event.date, 'gregory', 'latn'),
+            eventDateArabicDigits: formatArabicDate(event.date, 'gregory', 'arab'),
+            eventHijriDate: formatArabicDate(event.date, 'islamic-umalqura', 'latn', event.hijriOffset),
+            eventHijriDateArabicDigits: formatArabicDate(event.date, 'islamic-umalqura', 'arab', event.hijriOffset),
+            eventWeekday: event.date
+                ? new Intl.DateTimeFormat('ar-MA', { weekday: 'long', timeZone: 'UTC' }).format(new Date(`${event.date}T00:00:00Z`))
+                : '',
+            eventTime: event.time,
+            eventTimeArabicDigits: toArabicIndicDigits(event.time),
+            eventPlace: event.place,
+            eventSignatory: event.signatory
+        };
+        event.customFields.filter(field => field.key).forEach(field => {
+            data[field.key] = field.value;
+        });
+        return data;
+    }
 
-            // Render each employee within the group.
-            group.employees.forEach(emp => {
-                const item = document.createElement('div');
-                const responsibleClass = isResponsible(emp) ? ' responsible' : '';
-                item.className = `employee-item${responsibleClass}`;
-                
-                item.innerHTML = `
-                    <div class="employee-info">
-                        <span>${emp.jobTitle || ''} ${emp.fullName} (الرقم: ${emp.employeeId})</span>
-                        <span class="details">${emp.workLocation} | ${emp.division} | ${emp.city}</span>
-                    </div>
-                    <button class="delete-btn" data-employee-id="${emp.employeeId}">حذف</button>
-                `;
-                invitedListDiv.appendChild(item);
-            });
-        }
+    /**
+     * Checks whether a custom field key can be used as a template tag without
+     * hiding a built-in variable.
+     * @param {string} key - The key typed by the user.
+     * @returns {boolean} - True if the key is usable.
+     */
+    function isValidCustomFieldKey(key) {
+        return CUSTOM_FIELD_KEY_PATTERN.test(key)
+            && ![...EVENT_TEMPLATE_VARIABLES, ...GROUP_TEMPLATE_VARIABLES, ...MERGED_TEMPLATE_VARIABLES].includes(key);
     }
 
     /**
-     * Adds an employee to the invited list by their ID.
-     * @param {string|number} employeeId - The ID of the employee to add.
+     * Renders the custom field rows of the active event.
      */
-    function addToInvitedList(employeeId) {
-        const employeeToAdd = employeeData.find(emp => parseInt(emp.employeeId, 10) === parseInt(employeeId, 10));
-        
-        if (employeeToAdd && !invitedList.some(emp => parseInt(emp.employeeId, 10) === parseInt(employeeId, 10))) {
-            invitedList.push(employeeToAdd);
-            saveInvitedList();
-            renderInvitedList();
-            // alert(`تمت إضافة "${employeeToAdd.fullName}" إلى لائحة المدعوين.`);
-            // Clear search inputs and results after adding.
-            searchInput.value = '';
-            searchCityInput.value = '';
-            searchResults.innerHTML = '';
-        } else if (!employeeToAdd) {
-             alert('لم يتم العثور على الموظف.');
-        } else {
-            alert('هذا الموظف موجود بالفعل في القائمة.');
-        }
+    function renderEventCustomFields() {
+        eventCustomFieldsDiv.innerHTML = '';
+        getActiveEvent().customFields.forEach((field, index) => {
+            const row = document.createElement('div');
+            row.className = 'custom-field-row';
+            row.innerHTML = `
+                <input type="text" data-index="${index}" data-part="key" placeholder="الاسم في القالب (مثال: roomNumber)" dir="ltr">
+                <input type="text" data-index="${index}" data-part="value" placeholder="القيمة">
+                <button class="delete-btn" data-index="${index}">حذف</button>
+            `;
+            row.querySelector('[data-part="key"]').value = field.key;
+            row.querySelector('[data-part="value"]').value = field.value;
+            eventCustomFieldsDiv.appendChild(row);
+        });
     }
 
     /**
-     * Removes an employee from the invited list by their ID.
-     * @param {string|number} employeeId - The ID of the employee to remove.
+     * Shows the event variables with their current values below the event form.
      */
-    function removeFromInvitedList(employeeId) {
-        invitedList = invitedList.filter(emp => parseInt(emp.employeeId, 10) !== parseInt(employeeId, 10));
-        saveInvitedList();
-        renderInvitedList();
+    function renderEventVariablesHint() {
+        const data = buildEventTemplateData(getActiveEvent());
+        eventVariablesHint.textContent = 'متغيرات القالب: ' + Object.keys(data)
+            .filter(name => data[name])
+            .map(name => `{${name}} = ${data[name]}`)
+            .join(' | ');
     }
 
     /**
-     * Checks if an employee is a "responsible person" based on their job title.
-     * @param {Object} employee - The employee object.
-     * @returns {boolean} - True if the employee is a responsible person.
+     * Refreshes the template report, whose known variables include the custom fields.
      */
-    function isResponsible(employee) {
-        if (!employee || !employee.postResponsibility) return false;
-        const title = employee.postResponsibility.trim();
-        return (title.includes("رئيس") || title.includes("رئيسة") || title.includes("وكيل") || title.includes("وكيلة"));
+    function refreshTemplateReport() {
+        if (selectedTemplateId) selectTemplate(selectedTemplateId);
     }
 
-    // Event listener for the delete buttons on individual invited employees.
-    invitedListDiv.addEventListener('click', (event) => {
-        if (event.target.classList.contains('delete-btn')) {
-            const employeeId = event.target.dataset.employeeId;
-            removeFromInvitedList(employeeId);
-        }
+    addCustomFieldBtn.addEventListener('click', () => {
+        getActiveEvent().customFields.push({ key: '', value: '' });
+        saveEvents();
+        renderEventCustomFields();
     });
 
-    /**
-     * Event listener for the "Clear All" button. Clears the entire invited list.
-     */
-    clearAllBtn.addEventListener('click', () => {
-        if (invitedList.length > 0 && confirm('هل أنت متأكد أنك تريد مسح لائحة المدعوين بالكامل؟')) {
-            invitedList = [];
-            saveInvitedList();
-            renderInvitedList();
-            alert('تم مسح لائحة المدعوين بنجاح.');
+    // Event listener saving a custom field when its key or value changes.
+    eventCustomFieldsDiv.addEventListener('change', (e) => {
+        const { index, part } = e.target.dataset;
+        if (!part) return;
+        const field = getActiveEvent().customFields[Number(index)];
+        const value = e.target.value.trim();
+        if (part === 'key') {
+            const duplicate = getActiveEvent().customFields.some((f, i) => i !== Number(index) && f.key === value);
+            if (value && (!isValidCustomFieldKey(value) || duplicate)) {
+                alert(`الاسم "${value}" غير صالح: يجب أن يتكون من حروف لاتينية وأرقام و "_" فقط، وألا يكون مستعملا من قبل.`);
+                e.target.value = field.key;
+                return;
+            }
+            field.key = value;
+        } else {
+            field.value = value;
         }
+        saveEvents();
+        renderEventVariablesHint();
+        refreshTemplateReport();
     });
 
-    // --- Excel Import ---
+    eventCustomFieldsDiv.addEventListener('click', (e) => {
+        if (e.target.tagName !== 'BUTTON') return;
+        getActiveEvent().customFields.splice(Number(e.target.dataset.index), 1);
+        saveEvents();
+        renderEventCustomFields();
+        renderEventVariablesHint();
+        refreshTemplateReport();
+    });
 
-    /**
-     * Handles importing a list of employee IDs from an Excel file.
-     * The imported list REPLACES the current invited list after user confirmation.
-     * Expects a headerless Excel file with IDs in the first column.
-     */
-     // --- Excel Import ---
-    excelUpload.addEventListener('change', (event) => {
-        if (typeof XLSX === 'undefined') {
-            alert('عذرًا، حدث خطأ أثناء تحميل مكتبة معالجة ملفات Excel.');
-            return;
-        }
+    // --- Master Data Validation ---
 
-        const file = event.target.files[0];
-        if (!file) return;
+    const REQUIRED_EMPLOYEE_FIELDS = ['fullName', 'employeeId', 'gender', 'workLocation', 'city'];
+    const VALID_GENDERS = ['السيد', 'السيدة'];
 
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const data = new Uint8Array(e.target.result);
-                const workbook = XLSX.read(data, { type: 'array' });
-                const firstSheetName = workbook.SheetNames[0];
-                const worksheet = workbook.Sheets[firstSheetName];
-                // Use { header: 1 } to get an array of arrays, suitable for headerless files.
-                const rows = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-
-                const employeesToAdd = [];
-                rows.forEach(row => {
-                    // The employee ID is in the first column of each row.
-                    const employeeId = row[0];
-                    if (employeeId) {
-                        const foundEmployee = employeeData.find(emp => parseInt(emp.employeeId, 10) === parseInt(employeeId, 10));
-                        
-                        // Check if employee exists and is not already pending to be added.
-                        const isAlreadyPending = employeesToAdd.some(emp => parseInt(emp.employeeId, 10) === parseInt(employeeId, 10));
-
-                        if (foundEmployee && !isAlreadyPending) {
-                            employeesToAdd.push(foundEmployee);
-                        }
-                    }
-                });
+    let pendingValidation = null; // {employees, skipped} while the validation report is open
 
-                if (employeesToAdd.length > 0) {
-                    const employeeNames = employeesToAdd.map(emp => emp.fullName).join('\n');
-                    const confirmationMessage = `
-                        سيتم مسح القائمة الحالية واستبدالها بـ ${employeesToAdd.length} موظف جديد من الملف. هل تريد المتابعة؟
-                        \n\n${employeeNames}
-                    `;
-                    
-                    if (window.confirm(confirmationMessage)) {
-                        invitedList = employeesToAdd; // Replace the old list with the new one
-                        saveInvitedList();
-                        renderInvitedList();
-                        alert(`تم استبدال لائحة المدعوين بنجاح.`);
-                    } else {
-                        alert('تم إلغاء عملية الاستبدال.');
-                    }
-                } else {
-                    alert('لم يتم العثور على موظفين صالحين في ملف Excel لإنشاء قائمة جديدة.');
+    /**
+     * Checks imported records before they replace the master data.
+     * @param {Array<Object>} employees - The imported records.
+     * @returns {Array<{index: number, errors: Array<Object>, warnings: Array<Object>}>}
+     *          - One entry per record with at least one problem; each problem has a field and a message.
+     */
+    function validateEmployees(employees) {
+        const idCounts = new Map();
+        employees.forEach(emp => {
+            const key = employeeKey(emp.employeeId);
+            if (key) idCounts.set(key, (idCounts.get(key) || 0) + 1);
+        });
+        const labelOf = key => EMPLOYEE_FIELDS.find(field => field.key === key).label;
+
+        return employees.map((emp, index) => {
+            const errors = [];
+            const warnings = [];
+            REQUIRED_EMPLOYEE_FIELDS.forEach(key => {
+                if (String(emp[key] === undefined || emp[key] === null ? '' : emp[key]).trim() === '') {
+                    errors.push({ field: key, message: `${labelOf(key)} فارغ` });
                 }
+            });
 
-            } catch (error) {
-                console.error("Error processing Excel file:", error);
-                alert("حدث خطأ أثناء معالجة ملف Excel.");
-            } finally {
-                excelUpload.value = '';
-                excelUploadContainer.classList.add('hidden');
+            const id = String(emp.employeeId === undefined || emp.employeeId === null ? '' : emp.employeeId).trim();
+            if (id && !/^\d+$/.test(id)) {
+                errors.push({ field: 'employeeId', message: `الرقم الوظيفي "${id}" غير رقمي` });
+            } else if (id && idCounts.get(employeeKey(id)) > 1) {
+                errors.push({ field: 'employeeId', message: `الرقم الوظيفي ${id} مكرر` });
+            }
+            if (emp.gender && !VALID_GENDERS.includes(String(emp.gender).trim())) {
+                errors.push({ field: 'gender', message: `قيمة الجنس "${emp.gender}" يجب أن تكون السيد أو السيدة` });
             }
-        };
-        reader.readAsArrayBuffer(file);
-    });
-
-    // --- Word Document Generation ---
-    wordTemplateUpload.addEventListener('change', (event) => {
-        const file = event.target.files[0];
-        if (!file) {
-            wordTemplate = null;
-            return;
-        }
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            wordTemplate = e.target.result;
-            alert('تم تحميل قالب Word بنجاح.');
-        };
-        reader.readAsArrayBuffer(file);
-    });
 
-    // --- Word Document Generation ---
+            const jobTitle = String(emp.jobTitle || '').trim();
+            if (!jobTitle) {
+                warnings.push({ field: 'jobTitle', message: 'الصفة فارغة' });
+            } else if (!jobTitleGrammar[findMasculineRoot(jobTitle)]) {
+                warnings.push({ field: 'jobTitle', message: `الصفة "${jobTitle}" غير موجودة في قاموس الصفات` });
+            }
+            if (!String(emp.division || '').trim()) {
+                warnings.push({ field: 'division', message: 'القسم فارغ' });
+            }
+            return { index, errors, warnings };
+        }).filter(result => result.errors.length > 0 || result.warnings.length > 0);
+    }
 
     /**
-     * Handles the upload of the .docx template file.
+     * Validates an imported list and either continues to the change report or
+     * shows the rows to fix or skip.
+     * @param {Array<Object>} employees - The new master list.
      */
-    wordTemplateUpload.addEventListener('change', (event) => {
-        const file = event.target.files[0];
-        if (!file) {
-            wordTemplate = null;
+    function applyEmployeeDataUpdate(employees) {
+        pendingValidation = { employees: employees.map(emp => ({ ...emp })), skipped: new Set() };
+        const results = validateEmployees(pendingValidation.employees);
+        if (results.length === 0) {
+            finishValidation();
             return;
         }
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            wordTemplate = e.target.result;
-            alert('تم تحميل قالب Word بنجاح.');
-        };
-        reader.readAsArrayBuffer(file);
-    });
-    
-    // Using the user-specified, smaller dictionary.
-    const jobTitleGrammar = {
-        'قاضي': { m: {s: 'القاضي ب', d: 'القاضيين ب', p: 'القضاة ب'}, f: {s: 'القاضية ب', d: 'القاضيتين ب', p: 'القاضيات ب'} },
-        'مستشار': { m: {s: 'المستشار ب', d: 'المستشارين ب', p: 'المستشارون ب'}, f: {s: 'المستشارة ب', d: 'المستشارتين ب', p: 'المستشارات ب'} },
-        'محام عام': { m: {s: 'محام عام', d: 'محاميان عامان', p: 'محامون عامون'}, f: {s: 'محامية عامة', d: 'محاميتان عامتان', p: 'محاميات عامات'} },
-        'نائب الوكيل العام للملك': { m: {s: ' نائب الوكيل العام للملك لدى', d: ' نائبا الوكيل العام للملك لدى', p: 'نواب الوكيل العام للملك لدى '}, f: {s: 'نائبة الوكيل العام للملك لدى ', d: 'لنائبتا الوكيل العام للملك لدى ', p: 'نائبات الوكيل العام للملك لدى '} },
-        'نائب وكيل الملك': { m: {s: 'نائب وكيل الملك لدى', d: 'نائبا وكيل الملك لدى', p: 'نواب وكيل الملك لدى '}, f: {s: 'نائبة وكيل الملك لدى ', d: 'نائبتا وكيل الملك لدى ', p: 'نائبات وكيل الملك لدى '} },
-    };
+        renderValidationReport(results);
+    }
 
     /**
-     * Finds the masculine root key for a given job title from the grammar dictionary.
-     * @param {string} title - The job title to find the root for.
-     * @returns {string} - The masculine root key from the dictionary, or the original title if not found.
+     * Renders the per-row errors, with inputs to correct the faulty fields and a
+     * checkbox to skip the row, followed by the rows that only have warnings.
+     * @param {Array<Object>} results - The output of validateEmployees().
+     */
+    function renderValidationReport(results) {
+        const { employees, skipped } = pendingValidation;
+        const errorRows = results.filter(result => result.errors.length > 0);
+        const warningRows = results.filter(result => result.errors.length === 0);
+        const blocking = errorRows.filter(result => !skipped.has(result.index));
+
+        dataValidationSummary.textContent = `${employees.length} سجل: ${errorRows.length} سجل به أخطاء (${skipped.size} متجاهل)، ${warningRows.length} سجل به تنبيهات فقط.`;
+        continueValidationBtn.disabled = blocking.length > 0;
+        dataValidationTableBody.innerHTML = '';
+        dataValidationTable.classList.toggle('hidden', errorRows.length === 0);
+
+        errorRows.slice(0, 300).forEach(({ index, errors, warnings }) => {
+            const emp = employees[index];
+            const row = dataValidationTableBody.insertRow();
+            if (skipped.has(index)) row.className = 'skipped-row';
+            row.insertCell().textContent = index + 1;
+            row.insertCell().textContent = emp.fullName || '—';
+
+            const issuesCell = row.insertCell();
+            [...errors, ...warnings].forEach(issue => {
+                const line = document.createElement('div');
+                line.className = errors.includes(issue) ? 'issue-error' : 'issue-warning';
+                line.textContent = issue.message;
+                issuesCell.appendChild(line);
+            });
+
+            const fixCell = row.insertCell();
+            Array.from(new Set(errors.map(issue => issue.field))).forEach(field => {
+                const label = document.createElement('label');
+                label.className = 'fix-field';
+                label.textContent = EMPLOYEE_FIELDS.find(f => f.key === field).label;
+                let input;
+                if (field === 'gender') {
+                    input = document.createElement('select');
+                    input.innerHTML = `<option value="">—</option>${VALID_GENDERS.map(g => `<option value="${g}">${g}</option>`).join('')}`;
+                } else {
+                    input = document.createElement('input');
+                    input.type = 'text';
+                }
+                input.value = emp[field] === undefined || emp[field] === null ? '' : emp[field];
+                input.dataset.index = index;
+                input.dataset.field = field;
+                label.appendChild(input);
+                fixCell.appendChild(label);
+            });
+
+            const skipCell = row.insertCell();
+            const skip = document.createElement('input');
+            skip.type = 'checkbox';
+            skip.className = 'skip-row';
+            skip.dataset.index = index;
+            skip.checked = skipped.has(index);
+            skipCell.appendChild(skip);
+        });
+
+        dataValidationWarnings.innerHTML = '';
+        if (errorRows.length > 300) {
+            const note = document.createElement('p');
+            note.textContent = `يتم عرض أول 300 سجل فقط من أصل ${errorRows.length}.`;
+            dataValidationWarnings.appendChild(note);
+        }
+        if (warningRows.length > 0) {
+            const details = document.createElement('details');
+            const summary = document.createElement('summary');
+            summary.textContent = `سجلات بها تنبيهات فقط (${warningRows.length}) — سيتم استيرادها`;
+            const list = document.createElement('ul');
+            warningRows.slice(0, 500).forEach(({ index, warnings }) => {
+                const li = document.createElement('li');
+                li.textContent = `${index + 1}. ${employees[index].fullName}: ${warnings.map(w => w.message).join('، ')}`;
+                list.appendChild(li);
+            });
+            details.append(summary, list);
+            dataValidationWarnings.appendChild(details);
+        }
+        dataValidationReport.classList.remove('hidden');
+    }
+
+    /**
+     * Copies the corrections typed in the report back into the pending records.
+     */
+    function readValidationCorrections() {
+        const { employees, skipped } = pendingValidation;
+        dataValidationTableBody.querySelectorAll('[data-field]').forEach(input => {
+            const emp = employees[Number(input.dataset.index)];
+            const value = input.value.trim();
+            emp[input.dataset.field] = input.dataset.field === 'employeeId' && /^\d+$/.test(value) ? Number(value) : value;
+        });
+        dataValidationTableBody.querySelectorAll('.skip-row').forEach(checkbox => {
+            const index = Number(checkbox.dataset.index);
+            if (checkbox.checked) skipped.add(index);
+            else skipped.delete(index);
+        });
+    }
+
+    /**
+     * Drops the skipped rows and moves on to the change report.
+     */
+    function finishValidation() {
+        const { employees, skipped } = pendingValidation;
+        pendingValidation = null;
+        dataValidationReport.classList.add('hidden');
+        showEmployeeDataDiff(employees.filter((_, index) => !skipped.has(index)));
+    }
+
+    revalidateBtn.addEventListener('click', () => {
+        if (!pendingValidation) return;
+        readValidationCorrections();
+        renderValidationReport(validateEmployees(pendingValidation.employees));
+    });
+
+    skipInvalidRowsBtn.addEventListener('click', () => {
+        if (!pendingValidation) return;
+        readValidationCorrections();
+        const results = validateEmployees(pendingValidation.employees);
+        results.filter(result => result.errors.length > 0).forEach(result => pendingValidation.skipped.add(result.index));
+        renderValidationReport(results);
+    });
+
+    continueValidationBtn.addEventListener('click', () => {
+        if (!pendingValidation) return;
+        readValidationCorrections();
+        const results = validateEmployees(pendingValidation.employees);
+        if (results.some(result => result.errors.length > 0 && !pendingValidation.skipped.has(result.index))) {
+            alert('لا تزال بعض السجلات تحتوي على أخطاء. الرجاء تصحيحها أو تجاهلها.');
+            renderValidationReport(results);
+            return;
+        }
+        finishValidation();
+    });
+
+    cancelValidationBtn.addEventListener('click', () => {
+        pendingValidation = null;
+        dataValidationReport.classList.add('hidden');
+    });
+
+    // --- Master Data Update Report ---
+
+    let pendingEmployeeUpdate = null; // The imported list waiting for confirmation
+
+    /**
+     * Returns a comparable key for an employee ID, so that "0101", "101" and 101 match.
+     * @param {string|number} employeeId - The raw ID.
+     * @returns {string} - The normalised key.
+     */
+    function employeeKey(employeeId) {
+        const numericId = parseInt(employeeId, 10);
+        return isNaN(numericId) ? String(employeeId || '').trim() : String(numericId);
+    }
+
+    /**
+     * Compares the current master list with an imported one.
+     * @param {Array<Object>} oldEmployees - The current master list.
+     * @param {Array<Object>} newEmployees - The imported list.
+     * @returns {{added: Array<Object>, removed: Array<Object>, modified: Array<Object>}}
+     *          - Modified entries hold the new record and the list of changed fields.
+     */
+    function diffEmployeeData(oldEmployees, newEmployees) {
+        const oldById = new Map(oldEmployees.map(emp => [employeeKey(emp.employeeId), emp]));
+        const newById = new Map(newEmployees.map(emp => [employeeKey(emp.employeeId), emp]));
+        const diff = { added: [], removed: [], modified: [] };
+
+        newById.forEach((emp, key) => {
+            const previous = oldById.get(key);
+            if (!previous) {
+                diff.added.push(emp);
+                return;
+            }
+            const changes = EMPLOYEE_FIELDS
+                .filter(field => field.key !== 'employeeId')
+                .filter(field => String(previous[field.key] || '').trim() !== String(emp[field.key] || '').trim())
+                .map(field => ({ label: field.label, from: previous[field.key] || '', to: emp[field.key] || '' }));
+            if (changes.length > 0) diff.modified.push({ employee: emp, changes });
+        });
+        oldById.forEach((emp, key) => {
+            if (!newById.has(key)) diff.removed.push(emp);
+        });
+        return diff;
+    }
+
+    /**
+     * Shows the changes an import would make and waits for confirmation.
+     * @param {Array<Object>} employees - The new master list.
+     */
+    function showEmployeeDataDiff(employees) {
+        const diff = diffEmployeeData(employeeData, employees);
+        const invitedKeys = new Set(invitedList.map(emp => employeeKey(emp.employeeId)));
+        pendingEmployeeUpdate = employees;
+
+        dataUpdateSummary.textContent = `${employees.length} موظف في الملف الجديد: ${diff.added.length} إضافة، ${diff.removed.length} حذف، ${diff.modified.length} تعديل.`;
+        dataUpdateDetails.innerHTML = '';
+
+        const addSection = (title, items, describe) => {
+            if (items.length === 0) return;
+            const details = document.createElement('details');
+            const summary = document.createElement('summary');
+            summary.textContent = `${title} (${items.length})`;
+            const list = document.createElement('ul');
+            items.forEach(item => {
+                const li = document.createElement('li');
+                li.textContent = describe(item);
+                list.appendChild(li);
+            });
+            details.append(summary, list);
+            dataUpdateDetails.appendChild(details);
+        };
+        const name = emp => `${emp.fullName} (الرقم: ${emp.employeeId})`;
+        const invitedMark = emp => invitedKeys.has(employeeKey(emp.employeeId)) ? ' — في لائحة المدعوين' : '';
+
+        addSection('موظفون جدد', diff.added, emp => `${name(emp)} - ${emp.workLocation || ''} | ${emp.city || ''}`);
+        addSection('موظفون محذوفون', diff.removed, emp => `${name(emp)}${invitedMark(emp)}`);
+        addSection('موظفون معدلون', diff.modified, ({ employee, changes }) =>
+            `${name(employee)}${invitedMark(employee)}: ${changes.map(c => `${c.label}: «${c.from}» ← «${c.to}»`).join('، ')}`);
+
+        const removedInvitees = diff.removed.filter(emp => invitedKeys.has(employeeKey(emp.employeeId)));
+        if (removedInvitees.length > 0) {
+            const warning = document.createElement('p');
+            warning.className = 'report-warning-text';
+            warning.textContent = `تنبيه: ${removedInvitees.length} من المدعوين غير موجودين في الملف الجديد وسيتم تمييزهم في اللائحة.`;
+            dataUpdateDetails.appendChild(warning);
+        }
+        dataUpdateReport.classList.remove('hidden');
+    }
+
+    /**
+     * Saves the pending import and refreshes the invited list from the new records.
+     */
+    confirmDataUpdateBtn.addEventListener('click', () => {
+        if (!pendingEmployeeUpdate) return;
+
+        if (!setStoredItem('employeeData', JSON.stringify(pendingEmployeeUpdate))) return;
+        loadEmployeeData();
+        pendingEmployeeUpdate = null;
+        dataUpdateReport.classList.add('hidden');
+
+        const employeesById = new Map(employeeData.map(emp => [employeeKey(emp.employeeId), emp]));
+        events.forEach(event => {
+            event.invitedList = event.invitedList.map(emp => employeesById.get(employeeKey(emp.employeeId)) || emp);
+        });
+        invitedList = getActiveEvent().invitedList;
+        saveEvents();
+        renderInvitedList();
+        alert('تم تحميل بيانات الموظفين بنجاح!');
+
+        // A list built from a saved rule is recomputed against the new data.
+        const appliedRule = invitationRules.find(rule => rule.id === getActiveEvent().appliedRuleId);
+        if (appliedRule) runRule(appliedRule);
+    });
+
+    cancelDataUpdateBtn.addEventListener('click', () => {
+        pendingEmployeeUpdate = null;
+        dataUpdateReport.classList.add('hidden');
+    });
+
+    // --- JSON Data Upload ---
+
+    /**
+     * Handles the master employee data upload from a JSON file.
+     */
+    jsonUpload.addEventListener('change', (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const data = JSON.parse(e.target.result);
+                if (data.employees && Array.isArray(data.employees)) {
+                    applyEmployeeDataUpdate(data.employees);
+                    jsonUploadContainer.classList.add('hidden');
+                } else {
+                    alert('ملف JSON غير صالح. يجب أن يحتوي على مصفوفة باسم "employees".');
+                }
+            } catch (error) {
+                console.error('Error parsing JSON:', error);
+                alert('حدث خطأ أثناء قراءة الملف. الرجاء التأكد من أن الملف بصيغة JSON صحيحة.');
+            }
+        };
+        reader.readAsText(file);
+    });
+
+    // --- Excel/CSV Master Data Import ---
+
+    // Employee fields that can be mapped from a sheet column, with their labels
+    // and the header names recognised automatically.
+    const EMPLOYEE_FIELDS = [
+        { key: 'fullName', label: 'الاسم الكامل', aliases: ['الاسم', 'الاسم الكامل', 'الاسم الشخصي والعائلي', 'nom', 'nom complet', 'name', 'full name'] },
+        { key: 'employeeId', label: 'الرقم الوظيفي', aliases: ['الرقم', 'رقم التأجير', 'الرقم الوظيفي', 'matricule', 'id', 'ppr'] },
+        { key: 'gender', label: 'الجنس (السيد/السيدة)', aliases: ['الجنس', 'النوع', 'genre', 'sexe', 'civilité', 'gender'] },
+        { key: 'jobTitle', label: 'الصفة', aliases: ['الصفة', 'الإطار', 'الدرجة', 'grade', 'fonction', 'title', 'job title'] },
+        { key: 'postResponsibility', label: 'المسؤولية', aliases: ['المسؤولية', 'المنصب', 'responsabilité', 'poste'] },
+        { key: 'workLocation', label: 'مقر العمل', aliases: ['مقر العمل', 'المحكمة', 'juridiction', 'affectation', 'work location'] },
+        { key: 'division', label: 'القسم', aliases: ['القسم', 'الشعبة', 'الغرفة', 'division', 'service', 'section'] },
+        { key: 'city', label: 'المدينة', aliases: ['المدينة', 'ville', 'city'] }
+    ];
+
+    let pendingSheetRows = null; // Rows of the sheet waiting for the column mapping step
+
+    /**
+     * Normalises the common spellings of gender found in HR sheets to the
+     * honorifics used by the letters. Unknown values are returned unchanged.
+     * @param {*} value - The raw cell value.
+     * @returns {string} - 'السيد', 'السيدة' or the trimmed original value.
+     */
+    function normalizeGender(value) {
+        const text = String(value || '').trim();
+        const lower = text.toLowerCase();
+        if (['السيد', 'ذكر', 'm', 'h', 'homme', 'male', 'mr', 'm.'].includes(lower)) return 'السيد';
+        if (['السيدة', 'أنثى', 'انثى', 'f', 'femme', 'female', 'mme', 'mlle'].includes(lower)) return 'السيدة';
+        return text;
+    }
+
+    /**
+     * Picks the sheet column to propose for a field: the remembered mapping
+     * first, then a header matching the field name or one of its aliases.
+     * @param {Object} field - An entry of EMPLOYEE_FIELDS.
+     * @param {Array<string>} headers - The headers of the sheet.
+     * @param {Object} savedMapping - The mapping used for the previous import.
+     * @returns {string} - The matching header, or '' if none.
+     */
+    function guessColumn(field, headers, savedMapping) {
+        if (savedMapping[field.key] && headers.includes(savedMapping[field.key])) {
+            return savedMapping[field.key];
+        }
+        const candidates = [field.key, ...field.aliases].map(name => name.toLowerCase());
+        return headers.find(header => candidates.includes(header.trim().toLowerCase())) || '';
+    }
+
+    /**
+     * Shows one dropdown per employee field to map it to a sheet column.
+     * @param {Array<string>} headers - The headers of the sheet.
+     */
+    function renderColumnMapping(headers) {
+        const savedMapping = JSON.parse(localStorage.getItem('employeeColumnMapping') || '{}');
+        columnMappingFields.innerHTML = '';
+        EMPLOYEE_FIELDS.forEach(field => {
+            const label = document.createElement('label');
+            label.className = 'mapping-row';
+            label.textContent = field.label;
+            const select = document.createElement('select');
+            select.name = field.key;
+            select.innerHTML = '<option value="">— غير موجود —</option>';
+            headers.forEach(header => {
+                const option = document.createElement('option');
+                option.value = header;
+                option.textContent = header;
+                select.appendChild(option);
+            });
+            select.value = guessColumn(field, headers, savedMapping);
+            label.appendChild(select);
+            columnMappingFields.appendChild(label);
+        });
+        columnMappingForm.classList.remove('hidden');
+    }
+
+    /**
+     * Decodes the content of a CSV file. Files with a byte order mark or valid UTF-8
+     * are read as such; otherwise the file is taken as windows-1256, the encoding
+     * Excel uses for Arabic CSV files on Windows.
+     * @param {ArrayBuffer} content - The content of the file.
+     * @returns {string} - The text of the file, without byte order mark.
+     */
+    function decodeCsvText(content) {
+        const bytes = new Uint8Array(content);
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) return new TextDecoder('utf-16le').decode(bytes);
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) return new TextDecoder('utf-16be').decode(bytes);
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (error) {
+            return new TextDecoder('windows-1256').decode(bytes);
+        }
+    }
+
+    /**
+     * Reads the first sheet of an .xlsx/.xls/.csv file and starts the mapping step.
+     */
+    employeeSheetUpload.addEventListener('change', (event) => {
+        if (typeof XLSX === 'undefined') {
+            alert('عذرًا، حدث خطأ أثناء تحميل مكتبة معالجة ملفات Excel.');
+            return;
+        }
+
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const isCsv = /\.csv$/i.test(file.name);
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const workbook = isCsv
+                    ? XLSX.read(decodeCsvText(e.target.result), { type: 'string' })
+                    : XLSX.read(new Uint8Array(e.target.result), { type: 'array' });
+                const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+                const rows = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
+                const headers = (rows[0] || []).map(header => String(header).trim());
+
+                if (rows.length < 2 || headers.every(header => !header)) {
+                    alert('الملف فارغ أو لا يحتوي على سطر عناوين الأعمدة.');
+                    return;
+                }
+                pendingSheetRows = { headers, rows: rows.slice(1) };
+                renderColumnMapping(headers);
+            } catch (error) {
+                console.error('Error processing employee sheet:', error);
+                alert('حدث خطأ أثناء معالجة ملف Excel.');
+            } finally {
+                employeeSheetUpload.value = '';
+            }
+        };
+        reader.readAsArrayBuffer(file);
+    });
+
+    /**
+     * Converts the pending sheet rows into employee records with the chosen
+     * mapping, remembers the mapping and replaces the master data.
+     */
+    columnMappingForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        if (!pendingSheetRows) return;
+
+        const mapping = {};
+        EMPLOYEE_FIELDS.forEach(field => {
+            mapping[field.key] = columnMappingForm.elements[field.key].value;
+        });
+        if (!mapping.fullName || !mapping.employeeId) {
+            alert('الرجاء تحديد عمودي الاسم الكامل والرقم الوظيفي على الأقل.');
+            return;
+        }
+        setStoredItem('employeeColumnMapping', JSON.stringify(mapping));
+
+        const { headers, rows } = pendingSheetRows;
+        const employees = rows
+            .filter(row => row.some(cell => String(cell).trim() !== ''))
+            .map(row => {
+                const employee = {};
+                EMPLOYEE_FIELDS.forEach(field => {
+                    const index = headers.indexOf(mapping[field.key]);
+                    const value = index === -1 ? '' : row[index];
+                    employee[field.key] = typeof value === 'number' ? value : String(value).trim();
+                });
+                employee.gender = normalizeGender(employee.gender);
+                return employee;
+            });
+
+        pendingSheetRows = null;
+        columnMappingForm.classList.add('hidden');
+        sheetUploadContainer.classList.add('hidden');
+        applyEmployeeDataUpdate(employees);
+    });
+
+    columnMappingForm.addEventListener('reset', () => {
+        pendingSheetRows = null;
+        columnMappingForm.classList.add('hidden');
+    });
+
+    // --- Search Functionality ---
+
+    const MAX_SEARCH_RESULTS = 50;
+    const ARABIC_LETTER_VARIANTS = { 'أ': 'ا', 'إ': 'ا', 'آ': 'ا', 'ٱ': 'ا', 'ؤ': 'و', 'ئ': 'ي', 'ى': 'ي', 'ة': 'ه' };
+    // Tashkeel (fathatan to sukun, Quranic marks), superscript alef and tatweel are dropped.
+    const ARABIC_IGNORED_CHARS = /[\u064B-\u065F\u0670\u0640]/;
+
+    let searchIndex = []; // Normalised names and IDs of employeeData, rebuilt when the data changes
+    let searchTimer = null;
+
+    /**
+     * Normalises Arabic text for matching: hamza forms, ta marbuta and alef maqsura
+     * are unified, diacritics and tatweel removed, Latin letters lower-cased.
+     * @param {string} text - The text to normalise.
+     * @returns {{text: string, map: Array<number>}} - The normalised text and, for each of
+     *          its characters, the index of the original character it comes from.
+     */
+    function normalizeArabic(text) {
+        let normalized = '';
+        const map = [];
+        const source = String(text || '');
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (ARABIC_IGNORED_CHARS.test(char)) continue;
+            normalized += (ARABIC_LETTER_VARIANTS[char] || char).toLowerCase();
+            map.push(i);
+        }
+        return { text: normalized, map };
+    }
+
+    /**
+     * Rebuilds the normalised search index from employeeData.
+     */
+    function buildSearchIndex() {
+        searchIndex = employeeData.map(emp => {
+            const name = normalizeArabic(emp.fullName).text;
+            return {
+                employee: emp,
+                name,
+                words: name.split(/\s+/).filter(Boolean),
+                id: String(emp.employeeId === undefined || emp.employeeId === null ? '' : emp.employeeId).trim()
+            };
+        });
+    }
+
+    /**
+     * Returns the number of typos tolerated for a search word of the given length.
+     * @param {number} length - The length of the word.
+     * @returns {number} - 0 for short words, 1 up to 6 letters, 2 beyond.
+     */
+    function allowedTypos(length) {
+        if (length <= 3) return 0;
+        return length <= 6 ? 1 : 2;
+    }
+
+    /**
+     * Scores how well an index entry matches the search term; lower is better.
+     * Exact ID matches come first, then ID prefixes, exact names, name prefixes,
+     * word prefixes, substrings and finally names matching within a few typos.
+     * @param {Object} entry - An entry of searchIndex.
+     * @param {string} term - The normalised search term.
+     * @param {Array<string>} tokens - The words of the term.
+     * @returns {number|null} - The score, or null if the entry does not match.
+     */
+    function scoreSearchEntry(entry, term, tokens) {
+        if (entry.id === term) return 0;
+        if (/^\d+$/.test(term)) return entry.id.startsWith(term) ? 1 : (entry.id.includes(term) ? 2 : null);
+        if (entry.name === term) return 3;
+        if (entry.name.startsWith(term)) return 4;
+        if (tokens.every(token => entry.words.some(word => word.startsWith(token)))) return 5;
+        if (entry.name.includes(term)) return 6;
+
+        let totalDistance = 0;
+        for (const token of tokens) {
+            const maxTypos = allowedTypos(token.length);
+            let best = Infinity;
+            for (const word of entry.words) {
+                if (token.length - word.length > maxTypos) continue; // Too short to match
+                const distance = Math.min(
+                    levenshtein(token, word),
+                    word.length > token.length ? levenshtein(token, word.slice(0, token.length)) : Infinity
+                );
+                if (distance < best) best = distance;
+                if (best === 0) break;
+            }
+            if (best > maxTypos) return null;
+            totalDistance += best;
+        }
+        return 7 + totalDistance;
+    }
+
+    // Filter panel dropdowns, in cascading order for the location fields.
+    const SEARCH_FILTER_FIELDS = ['city', 'workLocation', 'division', 'jobTitle', 'gender'];
+
+    /**
+     * Reads the filter panel into a criteria object.
+     * @returns {Object} - {city, workLocation, division, jobTitle, gender, responsibleOnly}; empty strings mean "any".
+     */
+    function getFilterCriteria() {
+        const criteria = { responsibleOnly: filterResponsibleOnly.checked };
+        SEARCH_FILTER_FIELDS.forEach(field => {
+            criteria[field] = filterSelects[field].value;
+        });
+        return criteria;
+    }
+
+    /**
+     * Checks an employee against a criteria object. Job titles are compared by
+     * their masculine root so that "قاضي" also matches "قاضية".
+     * @param {Object} emp - The employee.
+     * @param {Object} criteria - The criteria (see getFilterCriteria()).
+     * @returns {boolean} - True if every set criterion matches.
+     */
+    function matchesCriteria(emp, criteria) {
+        if (criteria.city && (emp.city || '') !== criteria.city) return false;
+        if (criteria.workLocation && (emp.workLocation || '') !== criteria.workLocation) return false;
+        if (criteria.division && (emp.division || '') !== criteria.division) return false;
+        if (criteria.jobTitle && findMasculineRoot((emp.jobTitle || '').trim()) !== criteria.jobTitle) return false;
+        if (criteria.gender && emp.gender !== criteria.gender) return false;
+        if (criteria.responsibleOnly && !isResponsible(emp)) return false;
+        return true;
+    }
+
+    /**
+     * Rebuilds the filter dropdowns from the master data. City, work location and
+     * division cascade: each only lists the values found under the ones selected before it.
+     */
+    function renderFilterOptions() {
+        const current = getFilterCriteria();
+        const distinct = (employees, getValue) => Array.from(new Set(employees.map(getValue).filter(Boolean)))
+            .sort((a, b) => String(a).localeCompare(String(b), 'ar'));
+
+        let scope = employeeData;
+        const values = {};
+        ['city', 'workLocation', 'division'].forEach(field => {
+            values[field] = distinct(scope, emp => emp[field]);
+            if (current[field] && values[field].includes(current[field])) {
+                scope = scope.filter(emp => emp[field] === current[field]);
+            }
+        });
+        values.jobTitle = distinct(employeeData, emp => findMasculineRoot((emp.jobTitle || '').trim()));
+        values.gender = distinct(employeeData, emp => emp.gender);
+
+        SEARCH_FILTER_FIELDS.forEach(field => {
+            const select = filterSelects[field];
+            select.innerHTML = '<option value="">الكل</option>';
+            values[field].forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value;
+                select.appendChild(option);
+            });
+            select.value = values[field].includes(current[field]) ? current[field] : '';
+        });
+    }
+
+    let currentMatches = []; // Every employee matching the current search, best first
+    const selectedResultIds = new Set(); // employeeKey() of the checked search results
+
+    /**
+     * Filters the master employee list based on the search term and the filter
+     * panel, and displays the results, best matches first.
+     */
+    function performSearch() {
+        const searchTerm = normalizeArabic(searchInput.value.trim().replace(/\s+/g, ' ')).text;
+        const criteria = getFilterCriteria();
+        const hasFilters = criteria.responsibleOnly || SEARCH_FILTER_FIELDS.some(field => criteria[field]);
+        searchResults.innerHTML = '';
+        selectedResultIds.clear();
+        currentMatches = [];
+
+        if (searchTerm.length === 0 && !hasFilters) {
+            updateSearchSelectionControls();
+            return;
+        }
+
+        const tokens = searchTerm.split(' ').filter(Boolean);
+        const matches = [];
+        searchIndex.forEach(entry => {
+            if (!matchesCriteria(entry.employee, criteria)) return;
+            const score = searchTerm ? scoreSearchEntry(entry, searchTerm, tokens) : 0;
+            if (score !== null) matches.push({ employee: entry.employee, score });
+        });
+        if (searchTerm) {
+            matches.sort((a, b) => a.score - b.score);
+        } else {
+            matches.sort((a, b) => String(a.employee.fullName).localeCompare(String(b.employee.fullName), 'ar'));
+        }
+        currentMatches = matches.map(match => match.employee);
+
+        displaySearchResults(currentMatches.slice(0, MAX_SEARCH_RESULTS), searchTerm, currentMatches.length);
+        updateSearchSelectionControls();
+    }
+
+    /**
+     * Updates the result count, the "select all" checkbox and the bulk add button.
+     */
+    function updateSearchSelectionControls() {
+        searchCount.textContent = currentMatches.length > 0
+            ? `${currentMatches.length} نتيجة، ${selectedResultIds.size} محدد`
+            : '';
+        searchSelectionBar.classList.toggle('hidden', currentMatches.length === 0);
+        selectAllResults.checked = currentMatches.length > 0 && selectedResultIds.size === currentMatches.length;
+        selectAllResults.indeterminate = selectedResultIds.size > 0 && selectedResultIds.size < currentMatches.length;
+        addSelectedBtn.disabled = selectedResultIds.size === 0;
+        addSelectedBtn.textContent = `إضافة المحددين (${selectedResultIds.size})`;
+    }
+
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(performSearch, 150);
+    });
+
+    SEARCH_FILTER_FIELDS.forEach(field => {
+        filterSelects[field].addEventListener('change', () => {
+            renderFilterOptions();
+            performSearch();
+        });
+    });
+    filterResponsibleOnly.addEventListener('change', performSearch);
+
+    resetFiltersBtn.addEventListener('click', () => {
+        SEARCH_FILTER_FIELDS.forEach(field => {
+            filterSelects[field].value = '';
+        });
+        filterResponsibleOnly.checked = false;
+        searchInput.value = '';
+        renderFilterOptions();
+        performSearch();
+    });
+
+    /**
+     * Selects or clears every matching employee, including those beyond the displayed results.
+     */
+    selectAllResults.addEventListener('change', () => {
+        selectedResultIds.clear();
+        if (selectAllResults.checked) {
+            currentMatches.forEach(emp => selectedResultIds.add(employeeKey(emp.employeeId)));
+        }
+        searchResults.querySelectorAll('.select-result').forEach(checkbox => {
+            checkbox.checked = selectAllResults.checked;
+        });
+        updateSearchSelectionControls();
+    });
+
+    addSelectedBtn.addEventListener('click', () => {
+        const employees = currentMatches.filter(emp => selectedResultIds.has(employeeKey(emp.employeeId)));
+        addManyToInvitedList(employees);
+    });
+
+    /**
+     * Escapes text for safe insertion into HTML.
+     * @param {*} value - The value to escape.
+     * @returns {string} - The escaped text.
+     */
+    function escapeHtml(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Wraps the parts of a name matching the search term in <mark> elements.
+     * Each word of the term is highlighted where it occurs in the normalised name,
+     * or on the closest word of the name when it only matched with typos.
+     * @param {string} original - The name as stored.
+     * @param {string} term - The normalised search term.
+     * @returns {string} - HTML with the matched parts highlighted.
+     */
+    function highlightMatch(original, term) {
+        const source = String(original || '');
+        if (!term) return escapeHtml(source);
+        const { text, map } = normalizeArabic(source);
+        const ranges = [];
+        const addRange = (start, length) => {
+            const from = map[start];
+            const to = start + length < map.length ? map[start + length] : source.length;
+            ranges.push([from, to]);
+        };
+
+        const tokens = text.includes(term) ? [term] : term.split(' ').filter(Boolean);
+        tokens.forEach(token => {
+            const index = text.indexOf(token);
+            if (index !== -1) {
+                addRange(index, token.length);
+                return;
+            }
+            let best = null;
+            const wordPattern = /\S+/g;
+            let match;
+            while ((match = wordPattern.exec(text)) !== null) {
+                const distance = levenshtein(token, match[0].slice(0, Math.max(token.length, 1)));
+                if (!best || distance < best.distance) best = { index: match.index, length: match[0].length, distance };
+            }
+            if (best && best.distance <= allowedTypos(token.length)) addRange(best.index, best.length);
+        });
+
+        ranges.sort((a, b) => a[0] - b[0]);
+        let html = '';
+        let position = 0;
+        ranges.forEach(([from, to]) => {
+            if (from < position) from = position;
+            if (to <= from) return;
+            html += `${escapeHtml(source.slice(position, from))}<mark>${escapeHtml(source.slice(from, to))}</mark>`;
+            position = to;
+        });
+        return html + escapeHtml(source.slice(position));
+    }
+
+    /**
+     * Renders the search results in the UI.
+     * @param {Array<Object>} employees - The array of employees to display.
+     * @param {string} [term] - The normalised search term, used to highlight matches.
+     * @param {number} [totalCount] - The number of matches before truncation.
+     */
+    function displaySearchResults(employees, term = '', totalCount = employees.length) {
+        searchResults.innerHTML = '';
+        employees.forEach(emp => {
+            const empDiv = document.createElement('div');
+            empDiv.className = 'employee-item';
+            const id = String(emp.employeeId);
+            const idHtml = term && id.includes(term)
+                ? `${escapeHtml(id.slice(0, id.indexOf(term)))}<mark>${escapeHtml(term)}</mark>${escapeHtml(id.slice(id.indexOf(term) + term.length))}`
+                : escapeHtml(id);
+            const key = employeeKey(emp.employeeId);
+            empDiv.innerHTML = `
+                <input type="checkbox" class="select-result" ${selectedResultIds.has(key) ? 'checked' : ''}>
+                <div class="employee-info">
+                    <span>${highlightMatch(emp.fullName, term)} (الرقم: ${idHtml})</span>
+                    <span class="details">${escapeHtml(emp.jobTitle)} | ${escapeHtml(emp.workLocation)} | ${escapeHtml(emp.city)} | ${escapeHtml(emp.division)}</span>
+                </div>
+            `;
+            empDiv.dataset.employeeId = emp.employeeId;
+            
+            empDiv.addEventListener('click', (event) => {
+                if (event.target.classList.contains('select-result')) {
+                    if (event.target.checked) selectedResultIds.add(key);
+                    else selectedResultIds.delete(key);
+                    updateSearchSelectionControls();
+                    return;
+                }
+                addToInvitedList(emp.employeeId);
+            });
+
+            searchResults.appendChild(empDiv);
+        });
+
+        if (totalCount > employees.length) {
+            const more = document.createElement('p');
+            more.className = 'results-note';
+            more.textContent = `يتم عرض أفضل ${employees.length} نتيجة من أصل ${totalCount}. حدد البحث أكثر لتضييق النتائج.`;
+            searchResults.appendChild(more);
+        }
+    }
+
+    // --- Invited List Management ---
+
+    /**
+     * Renders the list of invited employees, grouped by location/division/city.
+     * Highlights "responsible" employees with a special class and flags invitees
+     * no longer present in the master data. Any open letter
+     * preview is cleared since it no longer matches the list.
+     */
+    function renderInvitedList() {
+        invitedListDiv.innerHTML = '';
+        clearPreview();
+
+        statusCountsSpan.textContent = invitedList.length > 0 ? `المجموع: ${describeStatusCounts(invitedList)}` : '';
+        if (invitedList.length === 0) {
+            return;
+        }
+
+        const masterKeys = new Set(employeeData.map(emp => employeeKey(emp.employeeId)));
+        const statusFilter = statusFilterSelect.value;
+
+        // Render each group (as the letters will be generated) with a header.
+        const groups = groupInvitedList();
+        const addresseeCandidates = buildAddresseeCandidates(groups);
+        groups.forEach(group => {
+            const shown = group.employees.filter(emp => matchesStatusFilter(emp, statusFilter));
+            if (shown.length === 0) return;
+
+            const groupHeader = document.createElement('h3');
+            groupHeader.className = 'group-header';
+            groupHeader.textContent = group.label;
+            const summary = document.createElement('span');
+            summary.className = 'status-summary';
+            summary.dataset.summaryKey = group.key;
+            summary.textContent = describeStatusCounts(group.employees);
+            groupHeader.appendChild(summary);
+            invitedListDiv.appendChild(groupHeader);
+            invitedListDiv.appendChild(renderResponsibleControl(group, addresseeCandidates.get(group.key)));
+
+            // Render each employee within the group.
+            shown.forEach(emp => {
+                const item = document.createElement('div');
+                const responsibleClass = isResponsible(emp) ? ' responsible' : '';
+                const isMissing = !masterKeys.has(employeeKey(emp.employeeId));
+                item.className = `employee-item${responsibleClass}${isMissing ? ' missing' : ''}`;
+                
+                item.innerHTML = `
+                    <div class="employee-info">
+                        <span>${emp.jobTitle || ''} ${emp.fullName} (الرقم: ${emp.employeeId})</span>
+                        ${isMissing ? '<span class="missing-label">غير موجود في البيانات الرئيسية</span>' : ''}
+                        <span class="details">${emp.workLocation} | ${emp.division} | ${emp.city}</span>
+                    </div>
+                    <button class="delete-btn" data-employee-id="${emp.employeeId}">حذف</button>
+                `;
+                item.querySelector('.employee-info').appendChild(renderTrackingControls(emp));
+                invitedListDiv.appendChild(item);
+            });
+        });
+    }
+
+    /**
+     * Adds an employee to the invited list by their ID.
+     * @param {string|number} employeeId - The ID of the employee to add.
+     */
+    function addToInvitedList(employeeId) {
+        const employeeToAdd = employeeData.find(emp => parseInt(emp.employeeId, 10) === parseInt(employeeId, 10));
+        
+        if (employeeToAdd && !invitedList.some(emp => parseInt(emp.employeeId, 10) === parseInt(employeeId, 10))) {
+            invitedList.push(employeeToAdd);
+            saveInvitedList();
+            renderInvitedList();
+            // alert(`تمت إضافة "${employeeToAdd.fullName}" إلى لائحة المدعوين.`);
+            // Clear the name search after adding; results of the filter panel stay visible.
+            searchInput.value = '';
+            performSearch();
+        } else if (!employeeToAdd) {
+             alert('لم يتم العثور على الموظف.');
+        } else {
+            alert('هذا الموظف موجود بالفعل في القائمة.');
+        }
+    }
+
+    /**
+     * Adds several employees at once, skipping those already invited.
+     * @param {Array<Object>} employees - The employees to add.
+     */
+    function addManyToInvitedList(employees) {
+        const invitedKeys = new Set(invitedList.map(emp => employeeKey(emp.employeeId)));
+        const toAdd = employees.filter(emp => !invitedKeys.has(employeeKey(emp.employeeId)));
+        if (toAdd.length === 0) {
+            alert('جميع الموظفين المحددين موجودون بالفعل في القائمة.');
+            return;
+        }
+        invitedList.push(...toAdd);
+        saveInvitedList();
+        renderInvitedList();
+        performSearch();
+        const skipped = employees.length - toAdd.length;
+        alert(`تمت إضافة ${toAdd.length} موظف إلى لائحة المدعوين.${skipped ? ` (${skipped} موجودون مسبقا)` : ''}`);
+    }
+
+    /**
+     * Removes an employee from the invited list by their ID.
+     * @param {string|number} employeeId - The ID of the employee to remove.
+     */
+    function removeFromInvitedList(employeeId) {
+        invitedList = invitedList.filter(emp => parseInt(emp.employeeId, 10) !== parseInt(employeeId, 10));
+        saveInvitedList();
+        renderInvitedList();
+    }
+
+    // --- Grouping ---
+
+    // How invitees are split into letters. `fields` make up the group key; `scope`
+    // are the fields the responsible person must share with the group.
+    const GROUPING_MODES = {
+        location: { label: 'حسب مقر العمل والقسم والمدينة', fields: ['workLocation', 'division', 'city'] },
+        workLocation: { label: 'حسب مقر العمل والمدينة (كل الأقسام)', fields: ['workLocation', 'city'] },
+        city: { label: 'حسب المدينة', fields: ['city'] },
+        individual: { label: 'رسالة لكل مدعو', fields: ['employeeId'], scope: ['workLocation', 'division', 'city'] }
+    };
+    const DEFAULT_FILE_NAME_PATTERN = '{city}-{workLocation}-{division}';
+
+    /**
+     * Splits the invited list into the groups that each receive one letter,
+     * according to the grouping mode of the active event. Used both for the
+     * display of the invited list and for generation.
+     * @param {Array<Object>} [employees=invitedList] - The invitees to group.
+     * @returns {Array<Object>} - The groups {key, label, workLocation, division, city, scope, employees},
+     *          in order of first appearance. Fields not shared by every member are ''.
+     */
+    function groupInvitedList(employees = invitedList) {
+        const mode = GROUPING_MODES[getActiveEvent().groupingMode] || GROUPING_MODES.location;
+        const groups = new Map();
+        employees.forEach(emp => {
+            const key = mode.fields.map(field => (field === 'employeeId' ? employeeKey(emp.employeeId) : emp[field] || 'N/A')).join('_');
+            if (!groups.has(key)) groups.set(key, { key, employees: [] });
+            groups.get(key).employees.push(emp);
+        });
+
+        return Array.from(groups.values()).map(group => {
+            const shared = field => (group.employees.every(emp => emp[field] === group.employees[0][field]) ? group.employees[0][field] || '' : '');
+            const workLocation = shared('workLocation');
+            const division = shared('division');
+            const city = shared('city');
+            const label = mode === GROUPING_MODES.individual
+                ? `${group.employees[0].fullName} - ${[workLocation, division, city].filter(Boolean).join(' - ')}`
+                : [workLocation, division, city].filter(Boolean).join(' - ');
+            return { ...group, label, workLocation, division, city, scope: mode.scope || mode.fields };
+        });
+    }
+
+    /**
+     * Checks whether an employee belongs to the scope of a group, i.e. shares
+     * every scope field of the group (e.g. the same city in the per-city mode).
+     * @param {Object} employee - The employee.
+     * @param {Object} group - A group returned by groupInvitedList().
+     * @returns {boolean} - True if the employee is within the scope.
+     */
+    function isInGroupScope(employee, group) {
+        return group.scope.every(field => (employee[field] || '') === group[field]);
+    }
+
+    /**
+     * Builds the file name of a group document from the file name pattern of the
+     * active event. Supported placeholders: {city}, {workLocation}, {division},
+     * {name}, {index} and {reference}.
+     * @param {Object} group - A group returned by buildGenerationGroups().
+     * @param {number} index - The position of the group, starting at 1.
+     * @param {string} [reference] - The outgoing reference number of the letter.
+     * @returns {string} - The file name, ending in .docx.
+     */
+    function buildFileName(group, index, reference = '') {
+        const values = {
+            city: group.data.city,
+            workLocation: group.workLocation,
+            division: group.division,
+            name: group.employees.length === 1 ? group.employees[0].fullName : '',
+            index: String(index),
+            reference
+        };
+        const name = getActiveEvent().fileNamePattern
+            .replace(/\{(\w+)\}/g, (match, field) => (field in values ? values[field] || '' : match))
+            .replace(/[\\/:*?"<>|]/g, '-')
+            .replace(/-{2,}/g, '-')
+            .replace(/^[-\s]+|[-\s]+$/g, '');
+        return `${name || `DocGen-${index}`}.docx`;
+    }
+
+    /**
+     * Names every group document, making the names unique within the export.
+     * @param {Array<Object>} groups - The groups returned by buildGenerationGroups().
+     * @param {Array<string>} [references] - The reference numbers, in the same order.
+     */
+    function assignFileNames(groups, references = []) {
+        const used = new Set();
+        groups.forEach((group, index) => {
+            let fileName = buildFileName(group, index + 1, references[index]);
+            for (let n = 2; used.has(fileName); n++) {
+                fileName = fileName.replace(/( \(\d+\))?\.docx$/, ` (${n}).docx`);
+            }
+            used.add(fileName);
+            group.fileName = fileName;
+        });
+    }
+
+    Object.keys(GROUPING_MODES).forEach(mode => {
+        groupingModeSelect.add(new Option(GROUPING_MODES[mode].label, mode));
+    });
+
+    groupingModeSelect.addEventListener('change', () => {
+        getActiveEvent().groupingMode = groupingModeSelect.value;
+        saveEvents();
+        renderInvitedList();
+    });
+
+    fileNamePatternInput.addEventListener('change', () => {
+        getActiveEvent().fileNamePattern = fileNamePatternInput.value.trim() || DEFAULT_FILE_NAME_PATTERN;
+        fileNamePatternInput.value = getActiveEvent().fileNamePattern;
+        saveEvents();
+        clearPreview();
+    });
+
+    // --- Invitation Tracking ---
+
+    // Steps of the invitation workflow, in order.
+    const INVITATION_STATUSES = {
+        pending: 'لم تنشأ الرسالة',
+        generated: 'أنشئت الرسالة',
+        sent: 'أرسلت',
+        confirmed: 'أكد الحضور',
+        declined: 'اعتذر',
+        attended: 'حضر',
+        absent: 'غاب'
+    };
+    // Invitees whose letter went out without an answer yet.
+    const AWAITING_REPLY_STATUSES = ['generated', 'sent'];
+
+    /**
+     * Returns the tracking entry of an invitee in the active event, creating it if needed.
+     * @param {string} key - The employee key (see employeeKey()).
+     * @returns {Object} - The entry {status, note, updatedAt, remindedAt, history}.
+     */
+    function getTracking(key) {
+        const tracking = getActiveEvent().tracking;
+        if (!tracking[key]) tracking[key] = { status: 'pending', note: '', updatedAt: null, remindedAt: null, history: [] };
+        return tracking[key];
+    }
+
+    /**
+     * Returns the status of an invitee in the active event.
+     * @param {Object} employee - The invitee.
+     * @returns {string} - A key of INVITATION_STATUSES.
+     */
+    function getInvitationStatus(employee) {
+        const entry = getActiveEvent().tracking[employeeKey(employee.employeeId)];
+        return entry ? entry.status : 'pending';
+    }
+
+    /**
+     * Changes the status of invitees, keeping the time of every change.
+     * The caller saves the events.
+     * @param {Array<string>} keys - The employee keys.
+     * @param {string} status - A key of INVITATION_STATUSES.
+     */
+    function setInvitationStatus(keys, status) {
+        const now = new Date().toISOString();
+        keys.forEach(key => {
+            const entry = getTracking(key);
+            if (entry.status === status) return;
+            entry.status = status;
+            entry.updatedAt = now;
+            entry.history.push({ status, at: now });
+        });
+    }
+
+    /**
+     * Checks an invitee against the status filter of the invited list.
+     * @param {Object} employee - The invitee.
+     * @param {string} filter - '' for all, 'awaiting' for no reply yet, or a status.
+     * @returns {boolean} - True if the invitee is shown.
+     */
+    function matchesStatusFilter(employee, filter) {
+        const status = getInvitationStatus(employee);
+        if (!filter) return true;
+        if (filter === 'awaiting') return AWAITING_REPLY_STATUSES.includes(status);
+        return status === filter;
+    }
+
+    /**
+     * Summarizes the statuses of a list of invitees, e.g. "2 أكد الحضور، 1 اعتذر".
+     * @param {Array<Object>} employees - The invitees.
+     * @returns {string} - The counts of the statuses present, in workflow order.
+     */
+    function describeStatusCounts(employees) {
+        const counts = {};
+        employees.forEach(emp => {
+            const status = getInvitationStatus(emp);
+            counts[status] = (counts[status] || 0) + 1;
+        });
+        return Object.keys(INVITATION_STATUSES)
+            .filter(status => counts[status])
+            .map(status => `${counts[status]} ${INVITATION_STATUSES[status]}`)
+            .join('، ');
+    }
+
+    /**
+     * Formats a stored timestamp for display.
+     * @param {string|null} value - The ISO timestamp.
+     * @returns {string} - The local date and time, or ''.
+     */
+    function formatTimestamp(value) {
+        return value ? new Date(value).toLocaleString('ar-MA') : '';
+    }
+
+    /**
+     * Renders the status dropdown, note field and last change time of an invitee.
+     * @param {Object} employee - The invitee.
+     * @returns {HTMLElement} - The controls.
+     */
+    function renderTrackingControls(employee) {
+        const key = employeeKey(employee.employeeId);
+        const controls = document.createElement('div');
+
+        const select = document.createElement('select');
+        select.dataset.trackKey = key;
+        select.dataset.part = 'status';
+        Object.keys(INVITATION_STATUSES).forEach(status => select.add(new Option(INVITATION_STATUSES[status], status)));
+
+        const note = document.createElement('input');
+        note.type = 'text';
+        note.placeholder = 'ملاحظة';
+        note.dataset.trackKey = key;
+        note.dataset.part = 'note';
+
+        const time = document.createElement('span');
+        time.className = 'details';
+
+        controls.append(select, note, time);
+        updateTrackingControls(controls, key);
+        return controls;
+    }
+
+    /**
+     * Shows the current tracking entry of an invitee in their controls.
+     * @param {HTMLElement} controls - The controls returned by renderTrackingControls().
+     * @param {string} key - The employee key.
+     */
+    function updateTrackingControls(controls, key) {
+        const entry = getActiveEvent().tracking[key] || { status: 'pending', note: '', history: [] };
+        const [select, note, time] = controls.children;
+        controls.className = `tracking-controls status-${entry.status}`;
+        select.value = entry.status;
+        note.value = entry.note;
+        time.textContent = [
+            entry.updatedAt ? `آخر تغيير: ${formatTimestamp(entry.updatedAt)}` : '',
+            entry.remindedAt ? `تذكير: ${formatTimestamp(entry.remindedAt)}` : ''
+        ].filter(Boolean).join(' | ');
+        time.title = entry.history.map(change => `${formatTimestamp(change.at)}: ${INVITATION_STATUSES[change.status]}`).join('\n');
+    }
+
+    /**
+     * Refreshes the row of an invitee whose status changed, with the summary of
+     * their group and the overall counts. The rest of the list is left as it is,
+     * so the row stays visible even if it no longer matches the status filter.
+     * @param {HTMLElement} controls - The controls of the invitee.
+     * @param {string} key - The employee key.
+     */
+    function renderTrackingChange(controls, key) {
+        updateTrackingControls(controls, key);
+        statusCountsSpan.textContent = `المجموع: ${describeStatusCounts(invitedList)}`;
+        const group = groupInvitedList().find(g => g.employees.some(emp => employeeKey(emp.employeeId) === key));
+        const summary = [...invitedListDiv.querySelectorAll('.status-summary')].find(span => span.dataset.summaryKey === group.key);
+        if (summary) summary.textContent = describeStatusCounts(group.employees);
+    }
+
+    statusFilterSelect.addEventListener('change', renderInvitedList);
+
+    // Event listener applying the bulk status to every invitee shown by the filter.
+    applyBulkStatusBtn.addEventListener('click', () => {
+        const status = bulkStatusSelect.value;
+        const shown = invitedList.filter(emp => matchesStatusFilter(emp, statusFilterSelect.value));
+        if (!status || shown.length === 0) return;
+        if (!confirm(`تعيين الحالة "${INVITATION_STATUSES[status]}" لـ ${shown.length} مدعو؟`)) return;
+        setInvitationStatus(shown.map(emp => employeeKey(emp.employeeId)), status);
+        saveEvents();
+        renderInvitedList();
+    });
+
+    /**
+     * Exports an Excel sheet of invitees with their tracking details.
+     * @param {Array<Object>} employees - The invitees to list.
+     * @param {Array<string>} extraColumns - Empty columns appended to fill by hand (e.g. a signature).
+     * @param {string} sheetName - The name of the sheet.
+     * @param {string} fileName - The name of the downloaded file.
+     */
+    function exportTrackingSheet(employees, extraColumns, sheetName, fileName) {
+        const rows = [['المجموعة', 'الاسم الكامل', 'الرقم الوظيفي', 'الصفة', 'مقر العمل', 'المدينة', 'الحالة', 'آخر تغيير', 'ملاحظة', ...extraColumns]];
+        groupInvitedList(employees).forEach(group => {
+            group.employees.forEach(emp => {
+                const entry = getActiveEvent().tracking[employeeKey(emp.employeeId)] || { status: 'pending', note: '' };
+                rows.push([
+                    group.label, emp.fullName, emp.employeeId, emp.jobTitle || '', emp.workLocation || '', emp.city || '',
+                    INVITATION_STATUSES[entry.status], formatTimestamp(entry.updatedAt), entry.note,
+                    ...extraColumns.map(() => '')
+                ]);
+            });
+        });
+        const workbook = XLSX.utils.book_new();
+        const worksheet = XLSX.utils.aoa_to_sheet(rows);
+        worksheet['!views'] = [{ RTL: true }];
+        XLSX.utils.book_append_sheet(workbook, worksheet, sheetName);
+        const out = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+        downloadBlob(new Blob([out], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+            `${getActiveEvent().name}-${fileName}.xlsx`.replace(/[\\/:*?"<>|]/g, '-'));
+    }
+
+    /**
+     * Returns the invitees who received a letter but have not replied yet.
+     * @returns {Array<Object>} - The invitees.
+     */
+    function getNonResponders() {
+        return invitedList.filter(emp => AWAITING_REPLY_STATUSES.includes(getInvitationStatus(emp)));
+    }
+
+    // Event listener exporting the attendance sheet: everyone who did not decline,
+    // with columns for the attendance and the signature.
+    exportAttendanceBtn.addEventListener('click', () => {
+        const attendees = invitedList.filter(emp => getInvitationStatus(emp) !== 'declined');
+        if (typeof XLSX === 'undefined' || attendees.length === 0) {
+            alert(attendees.length === 0 ? 'لا يوجد مدعوون لورقة الحضور.' : 'عذرًا، حدث خطأ أثناء تحميل مكتبة معالجة ملفات Excel.');
+            return;
+        }
+        exportTrackingSheet(attendees, ['الحضور', 'التوقيع'], 'ورقة الحضور', 'ورقة-الحضور');
+    });
+
+    exportNonRespondersBtn.addEventListener('click', () => {
+        const nonResponders = getNonResponders();
+        if (typeof XLSX === 'undefined' || nonResponders.length === 0) {
+            alert(nonResponders.length === 0 ? 'لا يوجد مدعوون بدون رد.' : 'عذرًا، حدث خطأ أثناء تحميل مكتبة معالجة ملفات Excel.');
+            return;
+        }
+        exportTrackingSheet(nonResponders, [], 'بدون رد', 'بدون-رد');
+    });
+
+    // --- Responsible Person ---
+
+    /**
+     * Resolves the addressee of a group: the person chosen in the group header,
+     * otherwise the first responsible person within the scope of the group.
+     * @param {Object} group - A group returned by groupInvitedList().
+     * @returns {{person: Object|null, detected: Object|null, acting: boolean, override: Object|null}}
+     *          - The addressee (null for none), the automatically detected one and the acting flag.
+     */
+    function resolveResponsible(group) {
+        const detected = employeeData.find(e => isInGroupScope(e, group) && isResponsible(e)) || null;
+        const override = getActiveEvent().responsibleOverrides[group.key] || null;
+        if (!override) return { person: detected, detected, acting: false, override };
+        if (override.mode === 'none') return { person: null, detected, acting: false, override };
+        const chosen = override.mode === 'person'
+            ? employeeData.find(e => employeeKey(e.employeeId) === employeeKey(override.employeeId))
+            : detected;
+        // A chosen person who left the master data falls back to the detected one.
+        const person = chosen || detected;
+        return { person, detected, acting: Boolean(person && override.acting), override };
+    }
+
+    /**
+     * Builds the addressee line of a letter, e.g. "السيد رئيس الغرفة بالنيابة".
+     * @param {Object|null} person - The addressee.
+     * @param {boolean} acting - True if the person is acting for the absent chief.
+     * @returns {string} - The line, or '' without addressee.
+     */
+    function buildResponsibilityLine(person, acting) {
+        if (!person) return '';
+        const genderPrefix = person.gender === 'السيدة' ? 'السيدة' : 'السيد';
+        return `${genderPrefix} ${person.jobTitle}${acting ? ' بالنيابة' : ''}`;
+    }
+
+    /**
+     * Lists the staff that can be chosen as addressee of each group: the staff of
+     * the same city and, when the group has one, the same work location, with the
+     * responsible persons first. The master data is read once for all the groups.
+     * @param {Array<Object>} groups - The groups returned by groupInvitedList().
+     * @returns {Map<string, Array<Object>>} - The candidates by group key.
+     */
+    function buildAddresseeCandidates(groups) {
+        const byPlace = new Map();
+        const addTo = (place, employee) => {
+            if (!byPlace.has(place)) byPlace.set(place, []);
+            byPlace.get(place).push(employee);
+        };
+        employeeData.forEach(e => {
+            addTo(e.city, e);
+            addTo(`${e.city}|${e.workLocation}`, e);
+        });
+        byPlace.forEach(staff => staff.sort((a, b) => Number(isResponsible(b)) - Number(isResponsible(a))));
+        const candidates = new Map();
+        groups.forEach(group => {
+            const place = group.workLocation ? `${group.city}|${group.workLocation}` : group.city;
+            candidates.set(group.key, byPlace.get(place) || []);
+        });
+        return candidates;
+    }
+
+    /**
+     * Renders the addressee picker shown under a group header: the detected
+     * responsible person, the other staff of the same city and location, or no addressee.
+     * @param {Object} group - A group returned by groupInvitedList().
+     * @param {Array<Object>} candidates - The staff of the group returned by buildAddresseeCandidates().
+     * @returns {HTMLElement} - The control.
+     */
+    function renderResponsibleControl(group, candidates) {
+        const groupKey = group.key;
+        const { person, detected, acting, override } = resolveResponsible(group);
+        const control = document.createElement('div');
+        control.className = 'responsible-control';
+
+        const label = document.createElement('span');
+        label.textContent = 'المرسل إليه:';
+        const select = document.createElement('select');
+        select.dataset.groupKey = groupKey;
+        select.add(new Option(detected ? `تلقائي: ${detected.fullName} (${detected.postResponsibility})` : 'تلقائي: لم يتم العثور على مسؤول', 'auto'));
+        candidates
+            .filter(e => e !== detected)
+            .forEach(e => {
+                const details = [e.jobTitle, e.postResponsibility, e.division].filter(Boolean).join(' | ');
+                select.add(new Option(`${e.fullName} (${details})`, employeeKey(e.employeeId)));
+            });
+        select.add(new Option('بدون مرسل إليه', 'none'));
+        select.value = !override || override.mode === 'auto' ? 'auto' : override.mode === 'none' ? 'none' : employeeKey(override.employeeId);
+        if (!select.value) select.value = 'auto';
+
+        const actingLabel = document.createElement('label');
+        actingLabel.className = 'checkbox-label';
+        const actingCheckbox = document.createElement('input');
+        actingCheckbox.type = 'checkbox';
+        actingCheckbox.dataset.groupKey = groupKey;
+        actingCheckbox.checked = acting;
+        actingCheckbox.disabled = !person;
+        actingLabel.append(actingCheckbox, ' بالنيابة');
+
+        const line = document.createElement('span');
+        line.className = 'details';
+        line.textContent = person ? `«${buildResponsibilityLine(person, acting)}»` : 'الرسالة بدون مرسل إليه';
+
+        control.append(label, select, actingLabel, line);
+        return control;
+    }
+
+    /**
+     * Checks if an employee is a "responsible person" based on their job title.
+     * @param {Object} employee - The employee object.
+     * @returns {boolean} - True if the employee is a responsible person.
+     */
+    function isResponsible(employee) {
+        if (!employee || !employee.postResponsibility) return false;
+        const title = employee.postResponsibility.trim();
+        return (title.includes("رئيس") || title.includes("رئيسة") || title.includes("وكيل") || title.includes("وكيلة"));
+    }
+
+    // Event listener saving the addressee chosen in a group header, or the
+    // status and note of an invitee.
+    invitedListDiv.addEventListener('change', (event) => {
+        const { groupKey, trackKey, part } = event.target.dataset;
+        if (trackKey) {
+            if (part === 'status') {
+                setInvitationStatus([trackKey], event.target.value);
+                renderTrackingChange(event.target.closest('.tracking-controls'), trackKey);
+            } else {
+                getTracking(trackKey).note = event.target.value.trim();
+            }
+            saveEvents();
+            return;
+        }
+        if (!groupKey) return;
+        const control = event.target.closest('.responsible-control');
+        const choice = control.querySelector('select').value;
+        const acting = control.querySelector('input[type="checkbox"]').checked;
+        const overrides = getActiveEvent().responsibleOverrides;
+        if (choice === 'auto' && !acting) delete overrides[groupKey];
+        else if (choice === 'none') overrides[groupKey] = { mode: 'none' };
+        else overrides[groupKey] = { mode: choice === 'auto' ? 'auto' : 'person', employeeId: choice === 'auto' ? null : choice, acting };
+        saveEvents();
+        renderInvitedList();
+    });
+
+    // Event listener for the delete buttons on individual invited employees.
+    invitedListDiv.addEventListener('click', (event) => {
+        if (event.target.classList.contains('delete-btn')) {
+            const employeeId = event.target.dataset.employeeId;
+            removeFromInvitedList(employeeId);
+        }
+    });
+
+    /**
+     * Event listener for the "Clear All" button. Clears the entire invited list.
+     */
+    clearAllBtn.addEventListener('click', () => {
+        if (invitedList.length > 0 && confirm('هل أنت متأكد أنك تريد مسح لائحة المدعوين بالكامل؟')) {
+            invitedList = [];
+            saveInvitedList();
+            renderInvitedList();
+            alert('تم مسح لائحة المدعوين بنجاح.');
+        }
+    });
+
+    // --- Invitation Rules ---
+
+    let invitationRules = []; // Saved rules {id, name, clauses, includeIds, excludeIds}
+    let ruleClauses = []; // Clauses of the rule being edited
+    let pendingRuleResult = null; // {rule, employees} waiting for confirmation
+
+    /**
+     * Loads the saved invitation rules from localStorage.
+     */
+    function loadInvitationRules() {
+        const data = localStorage.getItem('invitationRules');
+        invitationRules = data ? JSON.parse(data) : [];
+    }
+
+    /**
+     * Saves the invitation rules to localStorage.
+     */
+    function saveInvitationRules() {
+        setStoredItem('invitationRules', JSON.stringify(invitationRules));
+    }
+
+    /**
+     * Describes a criteria object in words, e.g. "المدينة: فاس، الصفة: مستشار".
+     * @param {Object} criteria - The criteria (see getFilterCriteria()).
+     * @returns {string} - The description.
+     */
+    function describeCriteria(criteria) {
+        const labels = { city: 'المدينة', workLocation: 'مقر العمل', division: 'القسم', jobTitle: 'الصفة', gender: 'الجنس' };
+        const parts = SEARCH_FILTER_FIELDS.filter(field => criteria[field]).map(field => `${labels[field]}: ${criteria[field]}`);
+        if (criteria.responsibleOnly) parts.push('المسؤولون فقط');
+        return parts.length > 0 ? parts.join('، ') : 'جميع الموظفين';
+    }
+
+    /**
+     * Parses a list of employee IDs typed by the user.
+     * @param {string} text - IDs separated by commas, spaces or new lines.
+     * @returns {Array<string>} - The normalised keys (see employeeKey()).
+     */
+    function parseIdList(text) {
+        return text.split(/[\s,،;]+/).filter(Boolean).map(employeeKey);
+    }
+
+    /**
+     * Computes the employees selected by a rule: everyone matching at least one
+     * clause or manually included, minus the manual exclusions.
+     * @param {Object} rule - The rule.
+     * @returns {Array<Object>} - The matching employees, in master data order.
+     */
+    function computeRuleList(rule) {
+        const includes = new Set(rule.includeIds);
+        const excludes = new Set(rule.excludeIds);
+        return employeeData.filter(emp => {
+            const key = employeeKey(emp.employeeId);
+            if (excludes.has(key)) return false;
+            return includes.has(key) || rule.clauses.some(clause => matchesCriteria(emp, clause));
+        });
+    }
+
+    /**
+     * Renders the rule dropdown and the editor of the selected rule.
+     */
+    function renderRules() {
+        const selectedId = ruleSelect.value;
+        ruleSelect.innerHTML = '<option value="">— قاعدة جديدة —</option>';
+        invitationRules.forEach(rule => {
+            const option = document.createElement('option');
+            option.value = rule.id;
+            option.textContent = rule.name;
+            ruleSelect.appendChild(option);
+        });
+        ruleSelect.value = invitationRules.some(rule => rule.id === selectedId) ? selectedId : '';
+        renderRuleClauses();
+    }
+
+    /**
+     * Renders the clauses of the rule being edited.
+     */
+    function renderRuleClauses() {
+        ruleClausesList.innerHTML = '';
+        ruleClauses.forEach((clause, index) => {
+            const li = document.createElement('li');
+            li.textContent = describeCriteria(clause);
+            const remove = document.createElement('button');
+            remove.className = 'delete-btn';
+            remove.textContent = 'حذف';
+            remove.dataset.index = index;
+            li.appendChild(remove);
+            ruleClausesList.appendChild(li);
+        });
+        if (ruleClauses.length === 0) {
+            ruleClausesList.innerHTML = '<li class="empty-note">لا توجد شروط. استعمل لوحة التصفية أعلاه ثم أضفها كشرط.</li>';
+        }
+    }
+
+    /**
+     * Loads a rule into the editor, or clears the editor for a new rule.
+     * @param {string} ruleId - The id of the rule, or '' for a new one.
+     */
+    function editRule(ruleId) {
+        const rule = invitationRules.find(r => r.id === ruleId);
+        ruleNameInput.value = rule ? rule.name : '';
+        ruleClauses = rule ? rule.clauses.map(clause => ({ ...clause })) : [];
+        ruleIncludeInput.value = rule ? rule.includeIds.join(', ') : '';
+        ruleExcludeInput.value = rule ? rule.excludeIds.join(', ') : '';
+        renderRuleClauses();
+    }
+
+    /**
+     * Builds the rule described by the editor.
+     * @returns {Object|null} - The rule, or null if it has no name.
+     */
+    function readRuleEditor() {
+        const name = ruleNameInput.value.trim();
+        if (!name) return null;
+        return {
+            id: ruleSelect.value || `rule-${Date.now()}`,
+            name,
+            clauses: ruleClauses.map(clause => ({ ...clause })),
+            includeIds: parseIdList(ruleIncludeInput.value),
+            excludeIds: parseIdList(ruleExcludeInput.value)
+        };
+    }
+
+    /**
+     * Computes a rule and shows how its result differs from the current invited list.
+     * @param {Object} rule - The rule to run.
+     */
+    function runRule(rule) {
+        const employees = computeRuleList(rule);
+        const resultKeys = new Set(employees.map(emp => employeeKey(emp.employeeId)));
+        const currentKeys = new Set(invitedList.map(emp => employeeKey(emp.employeeId)));
+        const added = employees.filter(emp => !currentKeys.has(employeeKey(emp.employeeId)));
+        const removed = invitedList.filter(emp => !resultKeys.has(employeeKey(emp.employeeId)));
+        pendingRuleResult = { rule, employees };
+
+        ruleDiffSummary.textContent = `القاعدة "${rule.name}": ${employees.length} مدعو — ${added.length} إضافة، ${removed.length} حذف، ${employees.length - added.length} دون تغيير.`;
+        ruleDiffDetails.innerHTML = '';
+        [['سيضاف', added], ['سيحذف', removed]].forEach(([title, items]) => {
+            if (items.length === 0) return;
+            const details = document.createElement('details');
+            details.open = items.length <= 20;
+            const summary = document.createElement('summary');
+            summary.textContent = `${title} (${items.length})`;
+            const list = document.createElement('ul');
+            items.forEach(emp => {
+                const li = document.createElement('li');
+                li.textContent = `${emp.jobTitle || ''} ${emp.fullName} (الرقم: ${emp.employeeId}) - ${emp.workLocation || ''} | ${emp.city || ''}`;
+                list.appendChild(li);
+            });
+            details.append(summary, list);
+            ruleDiffDetails.appendChild(details);
+        });
+        ruleDiffReport.classList.remove('hidden');
+    }
+
+    ruleSelect.addEventListener('change', () => {
+        editRule(ruleSelect.value);
+    });
+
+    addRuleClauseBtn.addEventListener('click', () => {
+        ruleClauses.push(getFilterCriteria());
+        renderRuleClauses();
+    });
+
+    ruleClausesList.addEventListener('click', (event) => {
+        if (event.target.dataset.index === undefined) return;
+        ruleClauses.splice(Number(event.target.dataset.index), 1);
+        renderRuleClauses();
+    });
+
+    saveRuleBtn.addEventListener('click', () => {
+        const rule = readRuleEditor();
+        if (!rule) {
+            alert('الرجاء إدخال اسم القاعدة.');
+            return;
+        }
+        const index = invitationRules.findIndex(r => r.id === rule.id);
+        if (index === -1) invitationRules.push(rule);
+        else invitationRules[index] = rule;
+        saveInvitationRules();
+        renderRules();
+        ruleSelect.value = rule.id;
+        alert(`تم حفظ القاعدة "${rule.name}".`);
+    });
+
+    deleteRuleBtn.addEventListener('click', () => {
+        const rule = invitationRules.find(r => r.id === ruleSelect.value);
+        if (!rule || !confirm(`هل تريد حذف القاعدة "${rule.name}"؟`)) return;
+        invitationRules = invitationRules.filter(r => r.id !== rule.id);
+        saveInvitationRules();
+        ruleSelect.value = '';
+        renderRules();
+        editRule('');
+    });
+
+    runRuleBtn.addEventListener('click', () => {
+        const rule = readRuleEditor() || { id: '', name: 'بدون اسم', clauses: ruleClauses, includeIds: parseIdList(ruleIncludeInput.value), excludeIds: parseIdList(ruleExcludeInput.value) };
+        if (rule.clauses.length === 0 && rule.includeIds.length === 0) {
+            alert('القاعدة لا تحتوي على أي شرط.');
+            return;
+        }
+        runRule(rule);
+    });
+
+    /**
+     * Replaces the invited list with the result of the pending rule.
+     */
+    applyRuleBtn.addEventListener('click', () => {
+        if (!pendingRuleResult) return;
+        invitedList = pendingRuleResult.employees;
+        // The event remembers the rule its list was built from, to recompute it after data updates.
+        getActiveEvent().appliedRuleId = invitationRules.some(rule => rule.id === pendingRuleResult.rule.id) ? pendingRuleResult.rule.id : null;
+        pendingRuleResult = null;
+        ruleDiffReport.classList.add('hidden');
+        saveInvitedList();
+        renderInvitedList();
+    });
+
+    cancelRuleBtn.addEventListener('click', () => {
+        pendingRuleResult = null;
+        ruleDiffReport.classList.add('hidden');
+    });
+
+    // --- Excel Import ---
+
+    let pendingInvitedRows = null; // Rows of the uploaded invited-list sheet, as arrays of cells
+    let pendingInvitedImport = null; // Employees the import would produce, waiting for confirmation
+
+    /**
+     * Handles importing a list of employee IDs from an Excel file.
+     * The sheet may have a header row; the ID column is chosen by the user.
+     * Nothing is changed until the import report is confirmed.
+     */
+    excelUpload.addEventListener('change', (event) => {
+        if (typeof XLSX === 'undefined') {
+            alert('عذرًا، حدث خطأ أثناء تحميل مكتبة معالجة ملفات Excel.');
+            return;
+        }
+
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const data = new Uint8Array(e.target.result);
+                const workbook = XLSX.read(data, { type: 'array' });
+                const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+                // Use { header: 1 } to get an array of arrays, so headerless files work too.
+                const rows = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '' })
+                    .filter(row => row.some(cell => String(cell).trim() !== ''));
+                if (rows.length === 0) {
+                    alert('الملف لا يحتوي على أي بيانات.');
+                    return;
+                }
+                pendingInvitedRows = rows;
+
+                // A first row matching a known ID header is taken as the header row.
+                const idField = EMPLOYEE_FIELDS.find(field => field.key === 'employeeId');
+                const headerIndex = rows[0].findIndex(cell => guessColumn(idField, [String(cell)], {}));
+                excelHasHeaderCheckbox.checked = headerIndex !== -1;
+                renderExcelIdColumns(Math.max(0, headerIndex));
+                renderInvitedImportReport();
+            } catch (error) {
+                console.error("Error processing Excel file:", error);
+                alert("حدث خطأ أثناء معالجة ملف Excel.");
+            } finally {
+                excelUpload.value = '';
+            }
+        };
+        reader.readAsArrayBuffer(file);
+    });
+
+    /**
+     * Fills the ID column dropdown with the header names, or the column letters
+     * for a headerless sheet.
+     * @param {number} selectedIndex - The column to select.
+     */
+    function renderExcelIdColumns(selectedIndex) {
+        const columnCount = Math.max(...pendingInvitedRows.map(row => row.length));
+        excelIdColumnSelect.innerHTML = '';
+        for (let i = 0; i < columnCount; i++) {
+            const letter = XLSX.utils.encode_col(i);
+            const header = excelHasHeaderCheckbox.checked ? String(pendingInvitedRows[0][i] || '').trim() : '';
+            excelIdColumnSelect.add(new Option(header ? `${letter} - ${header}` : `العمود ${letter}`, i));
+        }
+        excelIdColumnSelect.value = String(selectedIndex);
+    }
+
+    /**
+     * Matches the IDs of the uploaded sheet against the master data and shows the
+     * import report: matched employees, unknown IDs and IDs listed more than once.
+     */
+    function renderInvitedImportReport() {
+        const column = Number(excelIdColumnSelect.value);
+        const rows = excelHasHeaderCheckbox.checked ? pendingInvitedRows.slice(1) : pendingInvitedRows;
+        const merge = excelImportModeSelect.value === 'merge';
+        const employeesById = new Map(employeeData.map(emp => [employeeKey(emp.employeeId), emp]));
+        const invitedKeys = new Set(invitedList.map(emp => employeeKey(emp.employeeId)));
+        const rowOffset = excelHasHeaderCheckbox.checked ? 2 : 1;
+
+        const seen = new Set();
+        const matched = [];
+        const unmatched = [];
+        const duplicates = [];
+        const alreadyInvited = [];
+        rows.forEach((row, index) => {
+            const value = String(row[column] === undefined ? '' : row[column]).trim();
+            if (!value) return;
+            const key = employeeKey(value);
+            const where = `السطر ${index + rowOffset}: ${value}`;
+            if (seen.has(key)) {
+                duplicates.push(where);
+                return;
+            }
+            seen.add(key);
+            const employee = employeesById.get(key);
+            if (!employee) unmatched.push(where);
+            else if (merge && invitedKeys.has(key)) alreadyInvited.push(`${employee.fullName} (${employee.employeeId})`);
+            else matched.push(employee);
+        });
+
+        pendingInvitedImport = merge ? [...invitedList, ...matched] : matched;
+        invitedImportSummary.textContent = merge
+            ? `سيضاف ${matched.length} موظف إلى اللائحة الحالية (${invitedList.length}).`
+            : `سيتم استبدال اللائحة الحالية (${invitedList.length}) بـ ${matched.length} موظف.`;
+        invitedImportDetails.innerHTML = '';
+        [
+            ['أرقام غير موجودة في البيانات الرئيسية', unmatched, 'report-errors'],
+            ['أرقام مكررة في الملف', duplicates, 'report-warnings'],
+            ['موجودون مسبقا في اللائحة', alreadyInvited, 'report-info'],
+            [merge ? 'سيضاف' : 'اللائحة الجديدة', matched.map(emp => `${emp.jobTitle || ''} ${emp.fullName} (${emp.employeeId})`), '']
+        ].forEach(([title, items, className]) => {
+            if (items.length === 0) return;
+            const details = document.createElement('details');
+            details.open = className !== '' && items.length <= 20;
+            const summary = document.createElement('summary');
+            summary.textContent = `${title} (${items.length})`;
+            const list = document.createElement('ul');
+            if (className) list.className = className;
+            items.forEach(item => {
+                const li = document.createElement('li');
+                li.textContent = item;
+                list.appendChild(li);
+            });
+            details.append(summary, list);
+            invitedImportDetails.appendChild(details);
+        });
+        applyInvitedImportBtn.disabled = matched.length === 0;
+        invitedImportReport.classList.remove('hidden');
+    }
+
+    excelHasHeaderCheckbox.addEventListener('change', () => {
+        if (!pendingInvitedRows) return;
+        renderExcelIdColumns(Number(excelIdColumnSelect.value) || 0);
+        renderInvitedImportReport();
+    });
+
+    [excelIdColumnSelect, excelImportModeSelect].forEach(select => {
+        select.addEventListener('change', () => {
+            if (pendingInvitedRows) renderInvitedImportReport();
+        });
+    });
+
+    /**
+     * Clears the pending sheet and hides the import report.
+     */
+    function closeInvitedImport() {
+        pendingInvitedRows = null;
+        pendingInvitedImport = null;
+        invitedImportReport.classList.add('hidden');
+        excelUploadContainer.classList.add('hidden');
+    }
+
+    applyInvitedImportBtn.addEventListener('click', () => {
+        if (!pendingInvitedImport) return;
+        invitedList = pendingInvitedImport;
+        saveInvitedList();
+        renderInvitedList();
+        closeInvitedImport();
+        alert('تم تحديث لائحة المدعوين بنجاح.');
+    });
+
+    cancelInvitedImportBtn.addEventListener('click', closeInvitedImport);
+
+    // --- Excel Export ---
+
+    /**
+     * Exports the invited list to .xlsx, one row per invitee with every employee
+     * field, ordered and labelled by group as in the invited list.
+     */
+    exportInvitedListBtn.addEventListener('click', () => {
+        if (typeof XLSX === 'undefined') {
+            alert('عذرًا، حدث خطأ أثناء تحميل مكتبة معالجة ملفات Excel.');
+            return;
+        }
+        if (invitedList.length === 0) {
+            alert('لائحة المدعوين فارغة.');
+            return;
+        }
+        const rows = [['المجموعة', 'المرسل إليه', ...EMPLOYEE_FIELDS.map(field => field.label)]];
+        groupInvitedList().forEach(group => {
+            const { person, acting } = resolveResponsible(group);
+            group.employees.forEach(emp => {
+                rows.push([group.label, buildResponsibilityLine(person, acting), ...EMPLOYEE_FIELDS.map(field => emp[field.key] || '')]);
+            });
+        });
+        const workbook = XLSX.utils.book_new();
+        const worksheet = XLSX.utils.aoa_to_sheet(rows);
+        worksheet['!views'] = [{ RTL: true }];
+        XLSX.utils.book_append_sheet(workbook, worksheet, 'المدعوون');
+        const out = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+        downloadBlob(new Blob([out], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+            `${getActiveEvent().name}-المدعوون.xlsx`.replace(/[\\/:*?"<>|]/g, '-'));
+    });
+
+    // --- Template Inspection ---
+
+    // Variables supplied to every group document by generateWordBtn.
+    const GROUP_TEMPLATE_VARIABLES = [
+        'workLocation', 'division', 'employees', 'responsibilityLine', 'city',
+        'maleCollectiveTitle', 'femaleCollectiveTitle', 'computedVar', 'combinedJobTitle',
+        'invitees_names', 'collective_title', 'titleGroups', 'referenceNumber', 'isReminder'
+    ];
+    // Fields of each job-title sub-group, available inside {#titleGroups}...{/titleGroups}.
+    const TITLE_GROUP_TEMPLATE_FIELDS = [
+        'jobTitle', 'declinedTitle', 'preposition', 'gender', 'count', 'names', 'honorificNames', 'employees'
+    ];
+    // Variables only available in the merged document mode.
+    const MERGED_TEMPLATE_VARIABLES = ['groups', 'groupCount'];
+    const MERGED_GROUP_VARIABLES = ['groupIndex', 'isLast', 'pageBreak'];
+    // Fields of each employee, available inside {#employees}...{/employees}.
+    const EMPLOYEE_TEMPLATE_FIELDS = [
+        'fullName', 'employeeId', 'gender', 'jobTitle', 'postResponsibility', 'workLocation', 'division', 'city'
+    ];
+
+    /**
+     * Computes the Levenshtein distance between two strings.
+     * @param {string} a - The first string.
+     * @param {string} b - The second string.
+     * @returns {number} - The number of single-character edits between them.
+     */
+    function levenshtein(a, b) {
+        const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            let diagonal = previous[0];
+            previous[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const above = previous[j];
+                previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+                diagonal = above;
+            }
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * Suggests the closest known variable for a misspelled template tag.
+     * @param {string} name - The unknown tag name.
+     * @param {Array<string>} candidates - The variables valid at that position.
+     * @returns {string|null} - The suggested variable, or null if none is close enough.
+     */
+    function suggestVariable(name, candidates) {
+        const simplify = str => str.toLowerCase().replace(/[_\s-]/g, '');
+        let best = null;
+        let bestDistance = Infinity;
+        candidates.forEach(candidate => {
+            const distance = simplify(candidate) === simplify(name) ? 0 : levenshtein(candidate, name);
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        });
+        return bestDistance <= Math.max(2, Math.floor(name.length / 4)) ? best : null;
+    }
+
+    /**
+     * Returns the variables a tag may reference inside the given loop stack.
+     * docxtemplater resolves unknown names in the enclosing scopes, so every
+     * level adds to the variables of its parent.
+     * @param {Array<string>} loopStack - The names of the open sections, outermost first.
+     * @returns {Array<string>} - The valid variable names.
+     */
+    function getScopeVariables(loopStack) {
+        const variables = new Set([
+            ...GROUP_TEMPLATE_VARIABLES, ...MERGED_TEMPLATE_VARIABLES, ...EVENT_TEMPLATE_VARIABLES,
+            ...getActiveEvent().customFields.map(field => field.key).filter(Boolean)
+        ]);
+        loopStack.forEach(name => {
+            if (name === 'employees') EMPLOYEE_TEMPLATE_FIELDS.forEach(v => variables.add(v));
+            if (name === 'groups') MERGED_GROUP_VARIABLES.forEach(v => variables.add(v));
+            if (name === 'titleGroups') TITLE_GROUP_TEMPLATE_FIELDS.forEach(v => variables.add(v));
+        });
+        return Array.from(variables);
+    }
+
+    /**
+     * Parses the tags of a .docx template and checks them against the variables
+     * supplied by generateWordBtn.
+     * @param {ArrayBuffer} content - The binary content of the template.
+     * @returns {{errors: Array<string>, warnings: Array<string>, unused: Array<string>, loops: Array<string>, tagCount: number}}
+     *          - Malformed delimiters, unknown tags, supplied variables the template never uses
+     *          and the sections it opens with {#name}.
+     */
+    function inspectTemplate(content) {
+        const report = { errors: [], warnings: [], unused: [], loops: [], tagCount: 0 };
+        const usedNames = new Set();
+        const zip = new PizZip(content);
+        const parts = Object.keys(zip.files)
+            .filter(name => /^word\/(document|header\d*|footer\d*)\.xml$/.test(name))
+            .sort((a, b) => (a === 'word/document.xml' ? -1 : b === 'word/document.xml' ? 1 : a.localeCompare(b)));
+
+        parts.forEach(partName => {
+            const partLabel = partName.replace('word/', '').replace('.xml', '');
+            const loopStack = [];
+            getParagraphTexts(zip.file(partName).asText()).forEach((text, index) => {
+                const where = `(${partLabel}، الفقرة ${index + 1}: «${text.trim().slice(0, 60)}»)`;
+                let tagStart = -1;
+                for (let i = 0; i < text.length; i++) {
+                    if (text[i] === '{') {
+                        if (tagStart !== -1) {
+                            report.errors.push(`قوس "{" مفتوح داخل وسم آخر لم يغلق ${where}`);
+                        }
+                        tagStart = i;
+                    } else if (text[i] === '}') {
+                        if (tagStart === -1) {
+                            report.errors.push(`قوس "}" زائد بدون قوس افتتاح ${where}`);
+                            continue;
+                        }
+                        const raw = text.slice(tagStart + 1, i).trim();
+                        tagStart = -1;
+                        report.tagCount++;
+                        if (!raw) {
+                            report.errors.push(`وسم فارغ "{}" ${where}`);
+                            continue;
+                        }
+                        const prefix = /^[#^/@]/.test(raw) ? raw[0] : '';
+                        const name = raw.slice(prefix.length).trim();
+                        if (prefix === '/') {
+                            const open = loopStack.pop();
+                            if (open !== name) {
+                                report.errors.push(open
+                                    ? `وسم الإغلاق {/${name}} لا يطابق الحلقة المفتوحة {#${open}} ${where}`
+                                    : `وسم الإغلاق {/${name}} بدون حلقة مفتوحة ${where}`);
+                                if (open) loopStack.push(open);
+                            }
+                            continue;
+                        }
+                        if (prefix === '@' && text.trim() !== `{${raw}}`) {
+                            report.warnings.push(`الوسم {${raw}} يجب أن يكون وحده في فقرته لأنه يستبدل الفقرة بالكامل ${where}`);
+                        }
+                        const scope = getScopeVariables(loopStack);
+                        usedNames.add(name);
+                        if (!scope.includes(name)) {
+                            const suggestion = suggestVariable(name, scope);
+                            report.warnings.push(`وسم غير معروف {${raw}}${suggestion ? `، هل تقصد {${prefix}${suggestion}}؟` : ''} ${where}`);
+                        }
+                        if (prefix === '#' || prefix === '^') loopStack.push(name);
+                        if (prefix === '#' && !report.loops.includes(name)) report.loops.push(name);
+                    }
+                }
+                if (tagStart !== -1) {
+                    report.errors.push(`وسم غير مغلق "${text.slice(tagStart, tagStart + 30)}" ${where}`);
+                }
+            });
+            loopStack.forEach(name => {
+                report.errors.push(`الحلقة {#${name}} غير مغلقة في ${partLabel} (ينقصها {/${name}})`);
+            });
+        });
+
+        const expected = usedNames.has('groups')
+            ? [...GROUP_TEMPLATE_VARIABLES, ...MERGED_TEMPLATE_VARIABLES, ...MERGED_GROUP_VARIABLES]
+            : GROUP_TEMPLATE_VARIABLES;
+        report.unused = expected.filter(name => !usedNames.has(name));
+        if (outputModeSelect.value === 'merged' && !report.loops.includes('groups')) {
+            report.warnings.push('طريقة التصدير "مستند Word واحد" تتطلب أن يحيط القالب نص الرسالة بالحلقة {#groups} ... {/groups}، وهي غير موجودة في هذا القالب.');
+        }
+        return report;
+    }
+
+    /**
+     * Displays the result of inspectTemplate() below the template upload input.
+     * @param {Object} report - The inspection report.
+     */
+    function renderTemplateReport(report) {
+        templateReportDiv.innerHTML = '';
+        templateReportDiv.classList.remove('hidden');
+
+        const summary = document.createElement('p');
+        summary.className = 'report-summary';
+        summary.textContent = report.errors.length === 0 && report.warnings.length === 0
+            ? `القالب سليم: ${report.tagCount} وسم تم التحقق منه.`
+            : `تم العثور على ${report.errors.length} خطأ و ${report.warnings.length} تنبيه في ${report.tagCount} وسم.`;
+        templateReportDiv.appendChild(summary);
+
+        const addList = (items, className, title) => {
+            if (items.length === 0) return;
+            const heading = document.createElement('strong');
+            heading.textContent = title;
+            const list = document.createElement('ul');
+            list.className = className;
+            items.forEach(item => {
+                const li = document.createElement('li');
+                li.textContent = item;
+                list.appendChild(li);
+            });
+            templateReportDiv.append(heading, list);
+        };
+        addList(report.errors, 'report-errors', 'أخطاء في صياغة الأوسمة:');
+        addList(report.warnings, 'report-warnings', 'تنبيهات:');
+        addList(report.unused.map(name => `{${name}}`), 'report-info', 'متغيرات متوفرة غير مستعملة في القالب:');
+    }
+
+    /**
+     * Turns a docxtemplater error into a message naming each faulty tag.
+     * @param {Error} error - The error thrown by docxtemplater or by the generation code.
+     * @returns {string} - A readable description for the user.
+     */
+    function describeTemplateError(error) {
+        const errors = error.properties && Array.isArray(error.properties.errors)
+            ? error.properties.errors
+            : [error];
+        return errors.map(err => {
+            const props = err.properties || {};
+            const tag = props.xtag ? ` الوسم {${props.xtag}}` : '';
+            const file = props.file ? ` في ${props.file.replace('word/', '')}` : '';
+            return `-${tag}${file}: ${props.explanation || err.message}`;
+        }).join('\n');
+    }
+
+    // --- Template Library ---
+
+    const TEMPLATE_DB_NAME = 'docgenTemplates';
+    const TEMPLATE_STORE = 'templates';
+
+    /**
+     * Opens the IndexedDB database holding the template library.
+     * @returns {Promise<IDBDatabase>} - The open database.
+     */
+    function openTemplateDb() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(TEMPLATE_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(TEMPLATE_STORE, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Runs a single request against the template store.
+     * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+     * @param {function(IDBObjectStore): IDBRequest} action - Creates the request to run.
+     * @returns {Promise<*>} - The result of the request.
+     */
+    async function runTemplateStoreRequest(mode, action) {
+        const db = await openTemplateDb();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(TEMPLATE_STORE, mode);
+            const request = action(transaction.objectStore(TEMPLATE_STORE));
+            transaction.oncomplete = () => {
+                db.close();
+                resolve(request.result);
+            };
+            transaction.onerror = () => {
+                db.close();
+                reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Loads every stored template into memory, sorted by name.
+     */
+    async function loadTemplateLibrary() {
+        const templates = await runTemplateStoreRequest('readonly', store => store.getAll());
+        templateLibrary = templates.sort((a, b) => a.name.localeCompare(b.name, 'ar'));
+    }
+
+    /**
+     * Saves a template record and refreshes the in-memory library.
+     * @param {Object} template - The record {id, name, fileName, uploadedAt, isDefault, content}.
+     */
+    async function saveTemplate(template) {
+        await runTemplateStoreRequest('readwrite', store => store.put(template));
+        await loadTemplateLibrary();
+    }
+
+    /**
+     * Makes a template the current one for generation, preview and inspection.
+     * @param {string|null} templateId - The id of the template, or null to clear the selection.
+     */
+    function selectTemplate(templateId) {
+        const template = templateLibrary.find(t => t.id === templateId);
+        selectedTemplateId = template ? template.id : null;
+        wordTemplate = template ? template.content : null;
+        templateSelect.value = selectedTemplateId || '';
+        clearPreview();
+        getActiveEvent().templateId = selectedTemplateId;
+        saveEvents();
+
+        if (!template) {
+            templateReportDiv.classList.add('hidden');
+            return;
+        }
+        try {
+            renderTemplateReport(inspectTemplate(wordTemplate));
+        } catch (error) {
+            console.error('Error inspecting template:', error);
+            renderTemplateReport({ errors: ['تعذر قراءة الملف كمستند Word (.docx) صالح.'], warnings: [], unused: [], loops: [], tagCount: 0 });
+        }
+    }
+
+    /**
+     * Renders the template dropdown and the management list of the library.
+     */
+    function renderTemplateLibrary() {
+        templateSelect.innerHTML = '';
+        if (templateLibrary.length === 0) {
+            templateSelect.innerHTML = '<option value="">لا توجد نماذج محفوظة</option>';
+        }
+        templateLibrary.forEach(template => {
+            const option = document.createElement('option');
+            option.value = template.id;
+            option.textContent = template.isDefault ? `${template.name} (افتراضي)` : template.name;
+            templateSelect.appendChild(option);
+        });
+        templateSelect.value = selectedTemplateId || '';
+        renderLabelTemplateOptions();
+
+        templateLibraryDiv.innerHTML = '';
+        templateLibrary.forEach(template => {
+            const item = document.createElement('div');
+            item.className = 'employee-item template-item';
+            item.innerHTML = `
+                <div class="employee-info">
+                    <span>${escapeHtml(template.name)}${template.isDefault ? ' ★' : ''}</span>
+                    <span class="details">${escapeHtml(template.fileName)} | ${new Date(template.uploadedAt).toLocaleString('ar-MA')}</span>
+                </div>
+                <div class="item-actions">
+                    <button class="small-btn" data-action="default" data-template-id="${template.id}">افتراضي</button>
+                    <button class="small-btn" data-action="replace" data-template-id="${template.id}">استبدال</button>
+                    <button class="delete-btn" data-action="delete" data-template-id="${template.id}">حذف</button>
+                </div>
+            `;
+            templateLibraryDiv.appendChild(item);
+        });
+    }
+
+    /**
+     * Reads a .docx file chosen by the user.
+     * @param {File} file - The file from an input element.
+     * @returns {Promise<ArrayBuffer>} - The binary content.
+     */
+    function readFileAsArrayBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    /**
+     * Handles the upload of a new .docx template into the library. A template
+     * with the same name is replaced after confirmation.
+     */
+    wordTemplateUpload.addEventListener('change', async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const name = templateNameInput.value.trim() || file.name.replace(/\.docx$/i, '');
+        const existing = templateLibrary.find(t => t.name === name);
+        if (existing && !confirm(`يوجد نموذج باسم "${name}". هل تريد استبداله؟`)) {
+            wordTemplateUpload.value = '';
+            return;
+        }
+
+        try {
+            const template = {
+                id: existing ? existing.id : `tpl-${Date.now()}`,
+                name,
+                fileName: file.name,
+                uploadedAt: new Date().toISOString(),
+                isDefault: existing ? existing.isDefault : templateLibrary.length === 0,
+                content: await readFileAsArrayBuffer(file)
+            };
+            await saveTemplate(template);
+            selectTemplate(template.id);
+            renderTemplateLibrary();
+            alert('تم تحميل قالب Word بنجاح.');
+        } catch (error) {
+            console.error('Error saving template:', error);
+            alert('حدث خطأ أثناء حفظ القالب في المتصفح.');
+        } finally {
+            wordTemplateUpload.value = '';
+            templateNameInput.value = '';
+        }
+    });
+
+    /**
+     * Replaces the file of an existing template, keeping its name and default flag.
+     */
+    templateReplaceUpload.addEventListener('change', async (event) => {
+        const file = event.target.files[0];
+        const template = templateLibrary.find(t => t.id === templateReplaceUpload.dataset.templateId);
+        if (!file || !template) return;
+
+        try {
+            await saveTemplate({
+                ...template,
+                fileName: file.name,
+                uploadedAt: new Date().toISOString(),
+                content: await readFileAsArrayBuffer(file)
+            });
+            selectTemplate(template.id);
+            renderTemplateLibrary();
+            alert(`تم استبدال النموذج "${template.name}" بنجاح.`);
+        } catch (error) {
+            console.error('Error replacing template:', error);
+            alert('حدث خطأ أثناء حفظ القالب في المتصفح.');
+        } finally {
+            templateReplaceUpload.value = '';
+        }
+    });
+
+    templateSelect.addEventListener('change', () => {
+        selectTemplate(templateSelect.value || null);
+    });
+
+    // Event listener for the default/replace/delete buttons of the template library.
+    templateLibraryDiv.addEventListener('click', async (event) => {
+        const { action, templateId } = event.target.dataset;
+        const template = templateLibrary.find(t => t.id === templateId);
+        if (!action || !template) return;
+
+        try {
+            if (action === 'replace') {
+                templateReplaceUpload.dataset.templateId = templateId;
+                templateReplaceUpload.click();
+                return;
+            }
+            if (action === 'default') {
+                await runTemplateStoreRequest('readwrite', store => {
+                    templateLibrary.forEach(t => store.put({ ...t, isDefault: t.id === templateId }));
+                    return store.get(templateId);
+                });
+                await loadTemplateLibrary();
+            } else if (action === 'delete') {
+                if (!confirm(`هل تريد حذف النموذج "${template.name}"؟`)) return;
+                await runTemplateStoreRequest('readwrite', store => store.delete(templateId));
+                await loadTemplateLibrary();
+                if (selectedTemplateId === templateId) {
+                    const fallback = templateLibrary.find(t => t.isDefault) || templateLibrary[0];
+                    selectTemplate(fallback ? fallback.id : null);
+                }
+            }
+            renderTemplateLibrary();
+        } catch (error) {
+            console.error('Error updating template library:', error);
+            alert('حدث خطأ أثناء تحديث مكتبة النماذج.');
+        }
+    });
+
+    /**
+     * Loads the library at startup and selects the template of the active event.
+     */
+    async function initTemplateLibrary() {
+        if (typeof indexedDB === 'undefined') {
+            console.error('IndexedDB is not available; templates cannot be stored.');
+            renderTemplateLibrary();
+            return;
+        }
+        try {
+            await loadTemplateLibrary();
+            renderTemplateLibrary();
+            const templateId = findEventTemplateId(getActiveEvent());
+            if (templateId) selectTemplate(templateId);
+        } catch (error) {
+            console.error('Error loading template library:', error);
+        }
+    }
+
+    // --- Job Title Grammar Dictionary ---
+    // The grammar rules live in grammar.js (DocGenGrammar); this section holds the
+    // user-editable dictionary they are applied with.
+
+    const { DEFAULT_JOB_TITLE_GRAMMAR, isValidGrammarEntry } = DocGenGrammar;
+
+    let jobTitleGrammar = {}; // The editable dictionary, persisted in localStorage
+
+    // Values of earlier default dictionaries that were wrong, by title and form.
+    // Saved dictionaries still holding them are corrected to the current default.
+    const OUTDATED_GRAMMAR_DEFAULTS = [
+        { root: 'نائب الوكيل العام للملك', gender: 'f', number: 'd', value: 'لنائبتا الوكيل العام للملك' }
+    ];
+
+    /**
+     * Loads the grammar dictionary from localStorage, falling back to the defaults.
+     * Forms still equal to an outdated default are corrected and saved; forms the
+     * user changed are kept.
+     */
+    function loadJobTitleGrammar() {
+        const data = localStorage.getItem('jobTitleGrammar');
+        jobTitleGrammar = data ? JSON.parse(data) : JSON.parse(JSON.stringify(DEFAULT_JOB_TITLE_GRAMMAR));
+        let corrected = false;
+        OUTDATED_GRAMMAR_DEFAULTS.forEach(({ root, gender, number, value }) => {
+            const entry = jobTitleGrammar[root];
+            if (entry && entry[gender] && entry[gender][number] === value) {
+                entry[gender][number] = DEFAULT_JOB_TITLE_GRAMMAR[root][gender][number];
+                corrected = true;
+            }
+        });
+        if (corrected) setStoredItem('jobTitleGrammar', JSON.stringify(jobTitleGrammar));
+    }
+
+    /**
+     * Saves the grammar dictionary to localStorage. The job title filter groups
+     * titles by their dictionary root, so its options are rebuilt too.
+     */
+    function saveJobTitleGrammar() {
+        setStoredItem('jobTitleGrammar', JSON.stringify(jobTitleGrammar));
+        renderFilterOptions();
+    }
+
+    /**
+     * Finds the masculine root key for a given job title in the current dictionary.
+     * @param {string} title - The job title to find the root for.
+     * @returns {string} - The masculine root key, or the original title if not found.
      */
     function findMasculineRoot(title) {
-        if (!title) return '';
-        // Check for a direct match (i.e., the title is already the masculine root)
-        if (jobTitleGrammar[title]) {
-            return title;
+        return DocGenGrammar.findMasculineRoot(title, jobTitleGrammar);
+    }
+
+    /**
+     * Processes a group of employees with the current dictionary.
+     * @param {Array<Object>} employees - A list of employees in a single group.
+     * @param {string} [workLocation] - The work location of the group.
+     * @returns {Object} - The processed strings for the template (see DocGenGrammar.processGroupData).
+     */
+    function processGroupData(employees, workLocation = '') {
+        return DocGenGrammar.processGroupData(employees, workLocation, jobTitleGrammar);
+    }
+
+    /**
+     * Groups the invited list (see groupInvitedList()) and prepares the template data
+     * for each group (responsible person, responsibility line and grammar outputs).
+     * The groups and their addressees are always those of the whole invited list,
+     * so that a letter to part of a group goes to the same addressee as the original.
+     * @param {function(Object): boolean} [isIncluded] - Selects the invitees to write to;
+     *        groups without any selected invitee are left out.
+     * @returns {Array<Object>} - One entry per group, in display order.
+     */
+    function buildGenerationGroups(isIncluded = () => true) {
+        const groups = groupInvitedList().filter(group => group.employees.some(isIncluded)).map(group => {
+            const { key, label, workLocation, division } = group;
+            const employees = group.employees.filter(isIncluded);
+
+            const { person: responsiblePerson, acting } = resolveResponsible(group);
+            const responsibilityLine = buildResponsibilityLine(responsiblePerson, acting);
+
+            // The addressee is not listed among the invitees, unless the letter is only for them.
+            const responsiblePersonKey = responsiblePerson ? employeeKey(responsiblePerson.employeeId) : null;
+            const otherEmployees = employees.filter(e => employeeKey(e.employeeId) !== responsiblePersonKey);
+            const filteredEmployees = otherEmployees.length > 0 ? otherEmployees : employees;
+
+            const processedData = processGroupData(filteredEmployees, workLocation);
+
+            return {
+                key,
+                label,
+                workLocation,
+                division,
+                employees: filteredEmployees,
+                responsiblePerson,
+                data: {
+                    ...buildEventTemplateData(getActiveEvent()),
+                    workLocation: workLocation,
+                    division: division,
+                    employees: filteredEmployees,
+                    responsibilityLine: responsibilityLine,
+                    isReminder: false,
+                    ...processedData
+                }
+            };
+        });
+        assignFileNames(groups);
+        return groups;
+    }
+
+    // Raw WordprocessingML paragraph inserted by {@pageBreak} between merged groups.
+    const PAGE_BREAK_XML = '<w:p><w:r><w:br w:type="page"/></w:r></w:p>';
+
+    /**
+     * Renders the uploaded template with the data of a single group.
+     * @param {Object} group - A group entry returned by buildGenerationGroups().
+     * @returns {PizZip} - The zip holding the rendered .docx.
+     */
+    function renderGroupDocument(group) {
+        const zip = new PizZip(wordTemplate);
+        const doc = new docxtemplater(zip, { paragraphLoop: true, linebreaks: true });
+        doc.setData(group.data);
+        doc.render();
+        return doc.getZip();
+    }
+
+    /**
+     * Renders every group into one document. The template is expected to wrap the
+     * letter body in a {#groups}...{/groups} loop; each iteration exposes the same
+     * variables as a single-group document, plus {@pageBreak} to start the next
+     * group on a new page (empty for the last group).
+     * @param {Array<Object>} groups - The groups returned by buildGenerationGroups().
+     * @returns {PizZip} - The zip holding the merged .docx.
+     */
+    function renderMergedDocument(groups) {
+        const zip = new PizZip(wordTemplate);
+        const doc = new docxtemplater(zip, { paragraphLoop: true, linebreaks: true });
+        doc.setData({
+            ...buildEventTemplateData(getActiveEvent()),
+            groupCount: groups.length,
+            groups: groups.map((group, index) => ({
+                ...group.data,
+                groupIndex: index + 1,
+                isLast: index === groups.length - 1,
+                pageBreak: index === groups.length - 1 ? '' : PAGE_BREAK_XML
+            }))
+        });
+        doc.render();
+        return doc.getZip();
+    }
+
+    /**
+     * Triggers a browser download for a generated blob.
+     * @param {Blob} blob - The file content.
+     * @param {string} fileName - The name proposed to the user.
+     */
+    function downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        URL.revokeObjectURL(url);
+        a.remove();
+    }
+
+    // --- Outgoing Letter Registry ---
+
+    const DEFAULT_REFERENCE_PATTERN = '{year}/{seq}/ق';
+    let letterRegistry = []; // Issued letters {id, reference, year, seq, issuedAt, eventName, group, invitees, templateName, fileName}
+    let referenceSettings = { pattern: DEFAULT_REFERENCE_PATTERN, lastSeq: {} }; // lastSeq: last number used, per year
+
+    /**
+     * Loads the registry and the numbering settings from localStorage.
+     */
+    function loadLetterRegistry() {
+        const data = localStorage.getItem('letterRegistry');
+        letterRegistry = data ? JSON.parse(data) : [];
+        const settings = localStorage.getItem('referenceSettings');
+        if (settings) referenceSettings = JSON.parse(settings);
+        referencePatternInput.value = referenceSettings.pattern;
+        renderNextReferenceSeq();
+        renderLetterRegistry();
+    }
+
+    /**
+     * Saves the registry and the numbering settings to localStorage.
+     */
+    function saveLetterRegistry() {
+        setStoredItem('letterRegistry', JSON.stringify(letterRegistry));
+        setStoredItem('referenceSettings', JSON.stringify(referenceSettings));
+    }
+
+    /**
+     * Builds a reference number from the configured pattern.
+     * Supported placeholders: {year}, {month} and {seq}.
+     * @param {number} year - The year of issuance.
+     * @param {number} seq - The sequential number within the year.
+     * @param {Date} date - The date of issuance.
+     * @returns {string} - The reference number, e.g. "2026/15/ق".
+     */
+    function formatReference(year, seq, date) {
+        return referenceSettings.pattern
+            .replace(/\{year\}/g, year)
+            .replace(/\{month\}/g, String(date.getMonth() + 1).padStart(2, '0'))
+            .replace(/\{seq\}/g, seq);
+    }
+
+    /**
+     * Computes the reference numbers the next documents would receive, without
+     * reserving them.
+     * @param {number} count - The number of documents.
+     * @returns {Array<{reference: string, year: number, seq: number}>} - One entry per document.
+     */
+    function peekReferenceNumbers(count) {
+        const date = new Date();
+        const year = date.getFullYear();
+        const last = referenceSettings.lastSeq[year] || 0;
+        return Array.from({ length: count }, (_, i) => ({
+            reference: formatReference(year, last + i + 1, date),
+            year,
+            seq: last + i + 1
+        }));
+    }
+
+    /**
+     * Reserves the reference numbers of generated documents and records them in the registry.
+     * @param {Array<Object>} groups - The generated groups, with data.referenceNumber set.
+     * @param {Array<Object>} numbers - The numbers returned by peekReferenceNumbers().
+     */
+    function recordIssuedLetters(groups, numbers) {
+        const issuedAt = new Date().toISOString();
+        const template = templateLibrary.find(t => t.id === selectedTemplateId);
+        groups.forEach((group, index) => {
+            letterRegistry.push({
+                id: `letter-${Date.now()}-${index}-${Math.random().toString(36).slice(2, 7)}`,
+                reference: numbers[index].reference,
+                year: numbers[index].year,
+                seq: numbers[index].seq,
+                issuedAt,
+                eventName: getActiveEvent().name,
+                group: group.label,
+                addressee: group.data.responsibilityLine,
+                invitees: group.employees.map(emp => `${emp.fullName} (${emp.employeeId})`),
+                templateName: template ? template.name : '',
+                fileName: group.fileName
+            });
+        });
+        const last = numbers[numbers.length - 1];
+        referenceSettings.lastSeq[last.year] = last.seq;
+        saveLetterRegistry();
+        renderNextReferenceSeq();
+        renderLetterRegistry();
+    }
+
+    /**
+     * Shows the next number of the current year in the numbering settings.
+     */
+    function renderNextReferenceSeq() {
+        referenceNextSeqInput.value = (referenceSettings.lastSeq[new Date().getFullYear()] || 0) + 1;
+    }
+
+    /**
+     * Renders the registry table, newest first, filtered by the registry search box.
+     */
+    function renderLetterRegistry() {
+        const term = normalizeArabic(registrySearchInput.value.trim()).text;
+        const entries = letterRegistry.filter(entry => !term || normalizeArabic([
+            entry.reference, entry.eventName, entry.group, entry.addressee, entry.templateName, ...entry.invitees
+        ].join(' ')).text.includes(term));
+
+        letterRegistryTableBody.innerHTML = '';
+        entries.slice().reverse().forEach(entry => {
+            const row = letterRegistryTableBody.insertRow();
+            [
+                entry.reference,
+                new Date(entry.issuedAt).toLocaleDateString('ar-MA'),
+                entry.eventName,
+                entry.group,
+                entry.invitees.join('، '),
+                entry.templateName
+            ].forEach(value => {
+                row.insertCell().textContent = value;
+            });
+        });
+        registryCountSpan.textContent = `${entries.length} / ${letterRegistry.length}`;
+    }
+
+    referencePatternInput.addEventListener('change', () => {
+        const pattern = referencePatternInput.value.trim();
+        if (!pattern.includes('{seq}')) {
+            alert('يجب أن يحتوي النمط على {seq} (الرقم التسلسلي).');
+            referencePatternInput.value = referenceSettings.pattern;
+            return;
+        }
+        referenceSettings.pattern = pattern;
+        saveLetterRegistry();
+    });
+
+    // Event listener letting the numbering continue from the paper register.
+    referenceNextSeqInput.addEventListener('change', () => {
+        const next = parseInt(referenceNextSeqInput.value, 10);
+        const year = new Date().getFullYear();
+        const issued = letterRegistry.filter(entry => entry.year === year).map(entry => entry.seq);
+        if (!(next >= 1) || next <= Math.max(0, ...issued)) {
+            alert('الرقم التالي يجب أن يكون أكبر من آخر رقم مسجل في السجل لهذه السنة.');
+            renderNextReferenceSeq();
+            return;
+        }
+        referenceSettings.lastSeq[year] = next - 1;
+        saveLetterRegistry();
+    });
+
+    registrySearchInput.addEventListener('input', renderLetterRegistry);
+
+    exportRegistryBtn.addEventListener('click', () => {
+        if (typeof XLSX === 'undefined') {
+            alert('عذرًا، حدث خطأ أثناء تحميل مكتبة معالجة ملفات Excel.');
+            return;
+        }
+        if (letterRegistry.length === 0) {
+            alert('السجل فارغ.');
+            return;
+        }
+        const rows = letterRegistry.map(entry => ({
+            'الرقم': entry.reference,
+            'التاريخ': new Date(entry.issuedAt).toLocaleString('ar-MA'),
+            'الاجتماع': entry.eventName,
+            'المجموعة': entry.group,
+            'المرسل إليه': entry.addressee,
+            'المعنيون': entry.invitees.join('، '),
+            'عدد المعنيين': entry.invitees.length,
+            'النموذج': entry.templateName,
+            'الملف': entry.fileName
+        }));
+        const workbook = XLSX.utils.book_new();
+        const worksheet = XLSX.utils.json_to_sheet(rows);
+        worksheet['!views'] = [{ RTL: true }];
+        XLSX.utils.book_append_sheet(workbook, worksheet, 'سجل الصادر');
+        const out = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+        downloadBlob(new Blob([out], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+            `سجل-الصادر-${new Date().toISOString().slice(0, 10)}.xlsx`);
+    });
+
+    // --- Letter Preview ---
+
+    /**
+     * Splits a WordprocessingML part into the visible text of each paragraph.
+     * @param {string} xml - The XML content of a part such as word/document.xml.
+     * @returns {Array<string>} - The text of every paragraph, in document order.
+     */
+    function getParagraphTexts(xml) {
+        const xmlDoc = new DOMParser().parseFromString(xml, 'application/xml');
+        const paragraphs = Array.from(xmlDoc.getElementsByTagName('w:p'));
+        // Text boxes hold paragraphs nested in a run; their text belongs to the inner paragraph only.
+        const nearestParagraph = node => {
+            let parent = node.parentNode;
+            while (parent && parent.tagName !== 'w:p') parent = parent.parentNode;
+            return parent;
+        };
+        return paragraphs.map(p => {
+            let text = '';
+            Array.from(p.getElementsByTagName('*')).forEach(node => {
+                if (!['w:t', 'w:tab', 'w:br'].includes(node.tagName) || nearestParagraph(node) !== p) return;
+                if (node.tagName === 'w:t') text += node.textContent;
+                else if (node.tagName === 'w:tab') text += '\t';
+                else if (node.tagName === 'w:br') text += '\n';
+            });
+            return text;
+        });
+    }
+
+    /**
+     * Extracts the visible text of a rendered document, one line per paragraph.
+     * @param {PizZip} zip - The zip holding the rendered .docx.
+     * @returns {string} - The document text.
+     */
+    function extractDocumentText(zip) {
+        return getParagraphTexts(zip.file('word/document.xml').asText()).join('\n');
+    }
+
+    /**
+     * Formats a template variable value for display in the preview panel.
+     * @param {*} value - The value passed to doc.setData.
+     * @returns {string} - A readable representation.
+     */
+    function formatPreviewValue(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => {
+                if (!item || typeof item !== 'object') return item;
+                if (item.fullName) return item.fullName;
+                if (item.declinedTitle) return `${item.declinedTitle}: ${item.names}`;
+                return JSON.stringify(item);
+            }).join('، ');
+        }
+        if (value === undefined || value === null) return '';
+        return String(value);
+    }
+
+    /**
+     * Discards the letter preview together with the groups excluded in it, so
+     * that no exclusion applies to an export without being shown on screen.
+     */
+    function clearPreview() {
+        previewPanel.innerHTML = '';
+        excludedGroupKeys.clear();
+    }
+
+    /**
+     * Renders the text of a preview, or the template error that prevented it.
+     * @param {function(): PizZip} render - Renders the previewed document.
+     * @returns {HTMLElement} - The text block.
+     */
+    function renderPreviewText(render) {
+        const text = document.createElement('pre');
+        text.className = 'preview-text';
+        try {
+            text.textContent = extractDocumentText(render());
+        } catch (error) {
+            console.error('Error rendering preview:', error);
+            text.classList.add('preview-error');
+            text.textContent = `تعذر إنشاء المعاينة:\n${describeTemplateError(error)}`;
+        }
+        return text;
+    }
+
+    /**
+     * Renders every group with the current template and shows the resulting letter
+     * text and template variables, with a checkbox to include or exclude the group
+     * from the export. In the single document mode, the text is shown once for the
+     * merged document of the included groups, as it will be exported.
+     */
+    function renderPreview() {
+        previewPanel.innerHTML = '';
+        const groups = buildGenerationGroups();
+        // The numbers shown are the ones the export would assign; they are only reserved on export.
+        const included = groups.filter(group => !excludedGroupKeys.has(group.key));
+        const numbers = peekReferenceNumbers(included.length);
+        included.forEach((group, index) => {
+            group.data.referenceNumber = numbers[index].reference;
+        });
+        assignFileNames(included, numbers.map(number => number.reference));
+
+        const merged = outputModeSelect.value === 'merged';
+        if (merged) {
+            const card = document.createElement('div');
+            card.className = 'preview-card';
+            const title = document.createElement('div');
+            title.className = 'preview-header';
+            title.textContent = `مستند Word واحد (${included.length} مجموعة)`;
+            card.appendChild(title);
+            if (included.length > 0) card.appendChild(renderPreviewText(() => renderMergedDocument(included)));
+            previewPanel.appendChild(card);
+        }
+
+        groups.forEach(group => {
+            const card = document.createElement('div');
+            card.className = 'preview-card';
+            if (excludedGroupKeys.has(group.key)) card.classList.add('excluded');
+
+            const header = document.createElement('label');
+            header.className = 'preview-header';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = !excludedGroupKeys.has(group.key);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) excludedGroupKeys.delete(group.key);
+                else excludedGroupKeys.add(group.key);
+                // The merged text depends on every included group.
+                if (merged) renderPreview();
+                else card.classList.toggle('excluded', !checkbox.checked);
+            });
+            const title = document.createElement('span');
+            title.textContent = `${group.label} (${group.fileName})`;
+            header.append(checkbox, title);
+            card.appendChild(header);
+
+            if (!merged) card.appendChild(renderPreviewText(() => renderGroupDocument(group)));
+
+            const details = document.createElement('details');
+            const summary = document.createElement('summary');
+            summary.textContent = 'متغيرات القالب';
+            details.appendChild(summary);
+            const table = document.createElement('table');
+            table.className = 'preview-variables';
+            Object.keys(group.data).forEach(name => {
+                const row = table.insertRow();
+                const nameCell = row.insertCell();
+                nameCell.textContent = name;
+                nameCell.className = 'variable-name';
+                row.insertCell().textContent = formatPreviewValue(group.data[name]);
+            });
+            details.appendChild(table);
+            card.appendChild(details);
+
+            previewPanel.appendChild(card);
+        });
+    }
+
+    previewWordBtn.addEventListener('click', () => {
+        if (!canGenerateLetters()) return;
+        renderPreview();
+    });
+
+    /**
+     * Builds the plain-text summary stored next to the documents in the ZIP archive.
+     * @param {Array<Object>} groups - The generated groups.
+     * @returns {string} - One block per group listing its file, invitees and responsible person.
+     */
+    function buildZipManifest(groups) {
+        const lines = [
+            'DocGen - ملخص المستندات',
+            `الاجتماع: ${getActiveEvent().name}`,
+            `تاريخ الإنشاء: ${new Date().toLocaleString('ar-MA')}`,
+            `عدد المستندات: ${groups.length}`,
+            ''
+        ];
+        groups.forEach((group, index) => {
+            const responsible = group.responsiblePerson
+                ? `${group.responsiblePerson.fullName} (${group.data.responsibilityLine})`
+                : 'لا يوجد';
+            lines.push(`${index + 1}. ${group.label}`);
+            lines.push(`   الرقم: ${group.data.referenceNumber}`);
+            lines.push(`   الملف: ${group.fileName}`);
+            lines.push(`   المسؤول: ${responsible}`);
+            lines.push(`   المعنيون (${group.employees.length}):`);
+            group.employees.forEach(emp => {
+                lines.push(`     - ${emp.jobTitle || ''} ${emp.fullName} (الرقم: ${emp.employeeId})`);
+            });
+            lines.push('');
+        });
+        return lines.join('\r\n');
+    }
+
+    /**
+     * Checks that letters can be generated, alerting the user otherwise.
+     * @returns {boolean} - True if a template, invitees and the libraries are available,
+     *          and the template has the {#groups} loop when one merged document is exported.
+     */
+    function canGenerateLetters() {
+        if (!wordTemplate) {
+            alert('الرجاء تحميل قالب Word أولاً.');
+            return false;
         }
-        // If not, iterate through the dictionary to find a match for a feminine form.
-        for (const key in jobTitleGrammar) {
-            const grammar = jobTitleGrammar[key];
-            if (grammar.f.s === title || grammar.f.d === title || grammar.f.p === title) {
-                return key; // Return the masculine root key
+        if (invitedList.length === 0) {
+            alert('لائحة المدعوين فارغة. الرجاء إضافة موظفين أولاً.');
+            return false;
+        }
+        if (typeof PizZip === 'undefined' || typeof docxtemplater === 'undefined') {
+            alert('عذرًا، حدث خطأ أثناء تحميل مكتبات إنشاء الالمستندات.');
+            return false;
+        }
+        if (outputModeSelect.value === 'merged') {
+            // Without the loop every tag would render as "undefined" without any error.
+            let loops = [];
+            try {
+                loops = inspectTemplate(wordTemplate).loops;
+            } catch (error) {
+                console.error('Error inspecting template:', error);
             }
-        }
-        // Fallback for compound titles where the feminine marker is on the first word.
-        // This is a more robust way to handle titles like "نائبة وكيل الملك".
-        const firstWord = title.split(' ')[0];
-        if (firstWord.endsWith('ة')) {
-            const masculinizedTitle = title.replace(firstWord, firstWord.slice(0, -1));
-            if (jobTitleGrammar[masculinizedTitle]) {
-                return masculinizedTitle;
+            if (!loops.includes('groups')) {
+                alert('لا يمكن التصدير في مستند Word واحد: القالب لا يحتوي على الحلقة {#groups} ... {/groups}.\nأضف الحلقة إلى القالب أو اختر طريقة تصدير أخرى.');
+                return false;
             }
         }
-        return title; // Return the original title if no key is found
+        return true;
     }
 
+    // The merged mode needs the {#groups} loop, which the template report checks.
+    outputModeSelect.addEventListener('change', refreshTemplateReport);
 
     /**
-     * Processes a group of employees to generate grammatically correct collective titles.
-     * @param {Array<Object>} employees - A list of employees in a single group.
-     * @returns {Object} - An object containing various processed strings for the template.
+     * Generates and downloads the Word documents of the given groups.
+     * Depending on the selected output mode, each group is downloaded as its own
+     * .docx file, all of them are bundled into a single ZIP archive, or every group
+     * is rendered as a section of one merged document.
+     * @param {Array<Object>} groups - The groups returned by buildGenerationGroups().
+     * @returns {Array<Object>} - The reference numbers assigned to the groups.
      */
-    function processGroupData(employees) {
-        const males = employees.filter(e => e.gender === 'السيد');
-        const females = employees.filter(e => e.gender === 'السيدة');
-        
-        // Generate base title for males
-        let maleCollectiveTitle = '';
-        if (males.length > 0) {
-            const title = males.length === 1 ? 'السيد' : (males.length === 2 ? 'السيدين' : 'السادة');
-            const maleNames = males.map(e => e.fullName).join(' و ');
-            maleCollectiveTitle = `${title} ${maleNames}`;
-        }
-
-        // Generate base title for females
-        let femaleCollectiveTitle = '';
-        if (females.length > 0) {
-            const title = females.length === 1 ? 'السيدة' : (females.length === 2 ? 'السيدتين' : 'السيدات');
-            const femaleNames = females.map(e => e.fullName).join(' و ');
-            femaleCollectiveTitle = `${title} ${femaleNames}`;
-        }
-
-        // Add 'ب' prefix to the beginning of the collective title string.
-        if (males.length > 0) {
-            maleCollectiveTitle = `ب${maleCollectiveTitle}`;
-        } else if (females.length > 0) {
-            femaleCollectiveTitle = `ب${femaleCollectiveTitle}`;
-        }
-
-        // Add 'و' connector if the group is mixed.
-        if (males.length > 0 && females.length > 0) {
-            femaleCollectiveTitle = ` و ${femaleCollectiveTitle}`;
-        }
-
-        // Generate a context-dependent variable (e.g., "المعني", "المعنيان", "المعنيين")
-        let computedVar = '';
-        const totalCount = employees.length;
-        if (totalCount === 1) {
-            computedVar = males.length === 1 ? 'المعني' : 'المعنية';
-        } else if (totalCount === 2) {
-            if (males.length === 2) computedVar = 'المعنيين';
-            else if (females.length === 2) computedVar = 'المعنيتين';
-            else computedVar = 'المعنيين';
+    function exportLetters(groups) {
+        const mimeType = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+        const numbers = peekReferenceNumbers(groups.length);
+        groups.forEach((group, index) => {
+            group.data.referenceNumber = numbers[index].reference;
+        });
+        assignFileNames(groups, numbers.map(number => number.reference));
+
+        // Every document is rendered before anything is downloaded, so that the
+        // reference numbers are only recorded when the whole export succeeded.
+        const downloads = [];
+        if (outputModeSelect.value === 'zip') {
+            const archive = new PizZip();
+            groups.forEach(group => {
+                const content = renderGroupDocument(group).generate({ type: 'uint8array' });
+                archive.file(group.fileName, content);
+            });
+            archive.file('manifest.txt', buildZipManifest(groups));
+            const out = archive.generate({ type: 'blob', mimeType: 'application/zip', compression: 'DEFLATE' });
+            downloads.push([out, `DocGen-${new Date().toISOString().slice(0, 10)}.zip`]);
+        } else if (outputModeSelect.value === 'merged') {
+            const out = renderMergedDocument(groups).generate({ type: 'blob', mimeType });
+            downloads.push([out, `DocGen-${new Date().toISOString().slice(0, 10)}.docx`]);
         } else {
-             computedVar = males.length > 0 ? 'المعنيين' : 'المعنيات';
-        }
-
-        const city = employees.length > 0 ? employees[0].city : '';
-
-        // This logic determines the correct grammatical form of the job title for the group.
-        let combinedJobTitle = '';
-        if (employees.length > 0) {
-            const representativeTitle = (employees[0].jobTitle || '').trim();
-            const root = findMasculineRoot(representativeTitle);
-
-            if (jobTitleGrammar[root]) {
-                const grammarSet = jobTitleGrammar[root];
-                const groupMaleCount = males.length;
-                const groupFemaleCount = females.length;
-                const groupTotalCount = employees.length;
-
-                if (groupTotalCount === 1) {
-                    combinedJobTitle = groupMaleCount === 1 ? grammarSet.m.s : grammarSet.f.s;
-                } else if (groupTotalCount === 2) {
-                    if (groupFemaleCount === 2) {
-                        combinedJobTitle = grammarSet.f.d;
-                    } else {
-                        combinedJobTitle = grammarSet.m.d;
-                    }
-                } else if (groupTotalCount > 2){
-                    if (groupMaleCount > 0) {
-                        combinedJobTitle = grammarSet.m.p;
-                    } else {
-                        combinedJobTitle = grammarSet.f.p;
-                    }
-                } else {
-                    combinedJobTitle = root || '';
-                }
-            } else {
-                combinedJobTitle = representativeTitle || ''; // Fallback to the original title
-            }
-        }
-        
-        // A simple string of all names, joined by 'and'.
-        const invitees_names = employees.map(e => e.fullName).join(' و ');
-
-        // A single variable containing the full, grammatically correct collective title.
-        let collective_title = maleCollectiveTitle;
-        if (femaleCollectiveTitle) {
-            if (collective_title) {
-                collective_title += femaleCollectiveTitle;
-            } else {
-                collective_title = femaleCollectiveTitle;
-            }
+            groups.forEach(group => {
+                const out = renderGroupDocument(group).generate({ type: 'blob', mimeType });
+                downloads.push([out, group.fileName]);
+            });
         }
-        
-        return { city, maleCollectiveTitle, femaleCollectiveTitle, computedVar, combinedJobTitle, invitees_names, collective_title };
+        recordIssuedLetters(groups, numbers);
+        downloads.forEach(([blob, fileName]) => downloadBlob(blob, fileName));
+        return numbers;
+    }
+
+    /**
+     * Builds the success message listing the assigned reference numbers.
+     * @param {Array<Object>} numbers - The numbers returned by exportLetters().
+     * @returns {string} - The message.
+     */
+    function describeExportedLetters(numbers) {
+        const range = numbers.length === 1
+            ? numbers[0].reference
+            : `${numbers[0].reference} إلى ${numbers[numbers.length - 1].reference}`;
+        return `تم إنشاء الالمستندات بنجاح!\nأرقام الصادر: ${range}`;
     }
 
     /**
-     * Main function to generate and download Word documents.
+     * Main function to generate and download Word documents. Invitees whose
+     * letter had not been generated yet move to the "generated" status.
      */
     generateWordBtn.addEventListener('click', () => {
         try {
-            if (!wordTemplate) {
-                alert('الرجاء تحميل قالب Word أولاً.');
+            if (!canGenerateLetters()) return;
+
+            const groups = buildGenerationGroups().filter(group => !excludedGroupKeys.has(group.key));
+            if (groups.length === 0) {
+                alert('تم استبعاد جميع المجموعات من التصدير في نافذة المعاينة.');
+                return;
+            }
+            const numbers = exportLetters(groups);
+
+            const generatedKeys = groupInvitedList()
+                .filter(group => !excludedGroupKeys.has(group.key))
+                .flatMap(group => group.employees.map(emp => employeeKey(emp.employeeId)))
+                .filter(key => getTracking(key).status === 'pending');
+            setInvitationStatus(generatedKeys, 'generated');
+            saveEvents();
+            renderInvitedList();
+            alert(describeExportedLetters(numbers));
+        } catch (error) {
+            console.error('An unexpected error occurred during Word generation:', error);
+            alert(`حدث خطأ غير متوقع أثناء إنشاء الملف:\n${describeTemplateError(error)}`);
+        }
+    });
+
+    /**
+     * Generates reminder letters with the selected template for the invitees who
+     * have not replied yet, addressed as the original letters. Groups excluded in
+     * the preview are left out. The template can tell them apart with {#isReminder}.
+     */
+    generateRemindersBtn.addEventListener('click', () => {
+        try {
+            if (!canGenerateLetters()) return;
+            const awaitingKeys = new Set(getNonResponders().map(emp => employeeKey(emp.employeeId)));
+            const isAwaiting = emp => awaitingKeys.has(employeeKey(emp.employeeId));
+            const groups = buildGenerationGroups(isAwaiting).filter(group => !excludedGroupKeys.has(group.key));
+            if (groups.length === 0) {
+                alert('لا يوجد مدعوون بدون رد في المجموعات غير المستبعدة.');
                 return;
             }
+            groups.forEach(group => {
+                group.data.isReminder = true;
+            });
+            const numbers = exportLetters(groups);
+
+            const now = new Date().toISOString();
+            const remindedKeys = new Set(groups.map(group => group.key));
+            groupInvitedList()
+                .filter(group => remindedKeys.has(group.key))
+                .forEach(group => group.employees.filter(isAwaiting).forEach(emp => {
+                    getTracking(employeeKey(emp.employeeId)).remindedAt = now;
+                }));
+            saveEvents();
+            renderInvitedList();
+            alert(describeExportedLetters(numbers));
+        } catch (error) {
+            console.error('An unexpected error occurred during reminder generation:', error);
+            alert(`حدث خطأ غير متوقع أثناء إنشاء الملف:\n${describeTemplateError(error)}`);
+        }
+    });
+
+    // --- Envelopes and Labels ---
+
+    const DEFAULT_LABEL_SETTINGS = {
+        format: 'labels', recipients: 'invitees', templateId: '',
+        rows: 7, cols: 2, marginTop: 15, marginBottom: 15, marginRight: 5, marginLeft: 5
+    };
+    const TWIPS_PER_MM = 56.7;
+    const A4_PAGE = { width: 11906, height: 16838 }; // In twips
+    const DL_ENVELOPE = { width: 12474, height: 6237 }; // 220 x 110 mm, landscape
+    let labelSettings = { ...DEFAULT_LABEL_SETTINGS };
+
+    /**
+     * Loads the envelope/label settings from localStorage into the form.
+     */
+    function loadLabelSettings() {
+        const data = localStorage.getItem('labelSettings');
+        labelSettings = { ...DEFAULT_LABEL_SETTINGS, ...(data ? JSON.parse(data) : {}) };
+        labelFormatSelect.value = labelSettings.format;
+        labelRecipientsSelect.value = labelSettings.recipients;
+        labelRowsInput.value = labelSettings.rows;
+        labelColsInput.value = labelSettings.cols;
+        labelMarginTopInput.value = labelSettings.marginTop;
+        labelMarginBottomInput.value = labelSettings.marginBottom;
+        labelMarginRightInput.value = labelSettings.marginRight;
+        labelMarginLeftInput.value = labelSettings.marginLeft;
+        labelSheetOptions.classList.toggle('hidden', labelSettings.format !== 'labels');
+        renderLabelTemplateOptions();
+    }
+
+    /**
+     * Fills the label template dropdown with the templates of the library.
+     */
+    function renderLabelTemplateOptions() {
+        labelTemplateSelect.innerHTML = '<option value="">التصميم المدمج (بدون قالب)</option>';
+        templateLibrary.forEach(template => labelTemplateSelect.add(new Option(template.name, template.id)));
+        labelTemplateSelect.value = templateLibrary.some(t => t.id === labelSettings.templateId) ? labelSettings.templateId : '';
+    }
+
+    // Event listener saving the envelope/label settings when one of them changes.
+    [labelFormatSelect, labelRecipientsSelect, labelTemplateSelect, labelRowsInput, labelColsInput,
+        labelMarginTopInput, labelMarginBottomInput, labelMarginRightInput, labelMarginLeftInput].forEach(input => {
+        input.addEventListener('change', () => {
+            const number = (field, min, max) => Math.min(max, Math.max(min, Number(field.value) || 0));
+            labelSettings = {
+                format: labelFormatSelect.value,
+                recipients: labelRecipientsSelect.value,
+                templateId: labelTemplateSelect.value,
+                rows: number(labelRowsInput, 1, 20),
+                cols: number(labelColsInput, 1, 5),
+                marginTop: number(labelMarginTopInput, 0, 50),
+                marginBottom: number(labelMarginBottomInput, 0, 50),
+                marginRight: number(labelMarginRightInput, 0, 50),
+                marginLeft: number(labelMarginLeftInput, 0, 50)
+            };
+            labelSheetOptions.classList.toggle('hidden', labelSettings.format !== 'labels');
+            setStoredItem('labelSettings', JSON.stringify(labelSettings));
+        });
+    });
+
+    /**
+     * Builds the address block of one envelope or label.
+     * @param {Object} person - The recipient.
+     * @param {string} title - The title line, e.g. "السيد رئيس المحكمة بالنيابة".
+     * @returns {Object} - The label {title, fullName, jobTitle, postResponsibility, workLocation, division, city}.
+     */
+    function buildLabel(person, title) {
+        return {
+            title,
+            fullName: person.fullName || '',
+            jobTitle: person.jobTitle || '',
+            postResponsibility: person.postResponsibility || '',
+            workLocation: person.workLocation || '',
+            division: person.division || '',
+            city: person.city || ''
+        };
+    }
+
+    /**
+     * Lists the recipients of the envelopes or labels, using the same grouping and
+     * addressee as the letters: one per invitee, or one per group addressed to its
+     * responsible person (groups without an addressee get one per invitee).
+     * @returns {Array<Object>} - The labels, see buildLabel().
+     */
+    function buildLabels() {
+        if (labelSettings.recipients === 'invitees') {
+            return groupInvitedList()
+                .filter(group => !excludedGroupKeys.has(group.key))
+                .flatMap(group => group.employees.map(emp => buildLabel(emp, buildResponsibilityLine(emp, false))));
+        }
+        return buildGenerationGroups()
+            .filter(group => !excludedGroupKeys.has(group.key))
+            .flatMap(group => (group.responsiblePerson
+                ? [buildLabel(group.responsiblePerson, group.data.responsibilityLine)]
+                : group.employees.map(emp => buildLabel(emp, buildResponsibilityLine(emp, false)))));
+    }
+
+    /**
+     * Builds the WordprocessingML paragraphs of an address block (right-to-left).
+     * @param {Object} label - The label.
+     * @returns {string} - The paragraphs.
+     */
+    function buildAddressXml(label) {
+        const paragraph = (text, bold) => `<w:p><w:pPr><w:bidi/><w:jc w:val="center"/><w:spacing w:after="0"/></w:pPr>`
+            + `<w:r><w:rPr><w:rFonts w:ascii="Arial" w:hAnsi="Arial" w:cs="Arial"/>${bold ? '<w:b/><w:bCs/>' : ''}`
+            + `<w:sz w:val="24"/><w:szCs w:val="24"/><w:rtl/></w:rPr><w:t xml:space="preserve">${escapeHtml(text)}</w:t></w:r></w:p>`;
+        return [
+            paragraph(label.title, true),
+            paragraph(label.fullName, true),
+            paragraph([label.workLocation, label.division].filter(Boolean).join(' - '), false),
+            paragraph(label.city, false)
+        ].join('');
+    }
+
+    /**
+     * Wraps a document body into a minimal .docx package.
+     * @param {string} body - The content of <w:body>, including its section properties.
+     * @returns {PizZip} - The zip holding the .docx.
+     */
+    function buildDocxPackage(body) {
+        const zip = new PizZip();
+        zip.file('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+            + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+            + '<Default Extension="xml" ContentType="application/xml"/>'
+            + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+            + '</Types>');
+        zip.file('_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>'
+            + '</Relationships>');
+        zip.file('word/document.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + `<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body}</w:body></w:document>`);
+        return zip;
+    }
+
+    /**
+     * Builds the default layout: A4 sheets of rows x columns labels, or one DL
+     * envelope per page with the address in the lower half.
+     * @param {Array<Object>} labels - The labels returned by buildLabels().
+     * @returns {PizZip} - The zip holding the .docx.
+     */
+    function buildDefaultLabelsDocument(labels) {
+        if (labelSettings.format === 'envelopes') {
+            const pages = labels.map((label, index) => {
+                const spacer = '<w:p><w:pPr><w:spacing w:before="2400" w:after="0"/></w:pPr></w:p>';
+                const pageBreak = index < labels.length - 1 ? '<w:p><w:r><w:br w:type="page"/></w:r></w:p>' : '';
+                return `${spacer}<w:tbl><w:tblPr><w:bidiVisual/><w:tblW w:w="6000" w:type="dxa"/><w:jc w:val="center"/></w:tblPr>`
+                    + `<w:tblGrid><w:gridCol w:w="6000"/></w:tblGrid><w:tr><w:tc><w:tcPr><w:tcW w:w="6000" w:type="dxa"/></w:tcPr>${buildAddressXml(label)}</w:tc></w:tr></w:tbl>${pageBreak}`;
+            });
+            const section = `<w:sectPr><w:pgSz w:w="${DL_ENVELOPE.width}" w:h="${DL_ENVELOPE.height}" w:orient="landscape"/>`
+                + '<w:pgMar w:top="567" w:right="567" w:bottom="567" w:left="567" w:header="0" w:footer="0" w:gutter="0"/></w:sectPr>';
+            return buildDocxPackage(pages.join('') + section);
+        }
+
+        const { rows, cols } = labelSettings;
+        const margins = ['marginTop', 'marginRight', 'marginBottom', 'marginLeft'].map(name => Math.round(labelSettings[name] * TWIPS_PER_MM));
+        const cellWidth = Math.floor((A4_PAGE.width - margins[1] - margins[3]) / cols);
+        // Rows are slightly shorter than the exact share so that Word never pushes the last one to a new page.
+        const rowHeight = Math.floor((A4_PAGE.height - margins[0] - margins[2]) / rows) - 10;
+        const perPage = rows * cols;
+        const tables = [];
+        for (let start = 0; start < labels.length; start += perPage) {
+            const pageLabels = labels.slice(start, start + perPage);
+            let xml = `<w:tbl><w:tblPr><w:bidiVisual/><w:tblW w:w="${cellWidth * cols}" w:type="dxa"/><w:tblLayout w:type="fixed"/>`
+                + '<w:tblCellMar><w:left w:w="85" w:type="dxa"/><w:right w:w="85" w:type="dxa"/></w:tblCellMar></w:tblPr>'
+                + `<w:tblGrid>${`<w:gridCol w:w="${cellWidth}"/>`.repeat(cols)}</w:tblGrid>`;
+            for (let r = 0; r < Math.ceil(pageLabels.length / cols); r++) {
+                xml += `<w:tr><w:trPr><w:trHeight w:val="${rowHeight}" w:hRule="exact"/><w:cantSplit/></w:trPr>`;
+                for (let c = 0; c < cols; c++) {
+                    const label = pageLabels[r * cols + c];
+                    xml += `<w:tc><w:tcPr><w:tcW w:w="${cellWidth}" w:type="dxa"/><w:vAlign w:val="center"/></w:tcPr>${label ? buildAddressXml(label) : '<w:p/>'}</w:tc>`;
+                }
+                xml += '</w:tr>';
+            }
+            xml += '</w:tbl>';
+            if (start + perPage < labels.length) xml += '<w:p><w:pPr><w:spacing w:after="0"/></w:pPr><w:r><w:br w:type="page"/></w:r></w:p>';
+            tables.push(xml);
+        }
+        const section = `<w:sectPr><w:pgSz w:w="${A4_PAGE.width}" w:h="${A4_PAGE.height}"/>`
+            + `<w:pgMar w:top="${margins[0]}" w:right="${margins[1]}" w:bottom="${margins[2]}" w:left="${margins[3]}" w:header="0" w:footer="0" w:gutter="0"/></w:sectPr>`;
+        return buildDocxPackage(tables.join('') + section);
+    }
+
+    /**
+     * Renders the labels with a template of the library. The template receives
+     * {#labels}...{/labels} (one entry per recipient, with {@pageBreak} for
+     * envelopes) and {#rows}...{/rows} where each row holds {#label1}...{/label1}
+     * up to the configured number of columns, for label sheets laid out as a table.
+     * @param {Array<Object>} labels - The labels returned by buildLabels().
+     * @param {ArrayBuffer} content - The template.
+     * @returns {PizZip} - The zip holding the rendered .docx.
+     */
+    function renderLabelsTemplate(labels, content) {
+        const rows = [];
+        for (let i = 0; i < labels.length; i += labelSettings.cols) {
+            const row = {};
+            for (let c = 0; c < labelSettings.cols; c++) {
+                row[`label${c + 1}`] = labels[i + c] || false;
+            }
+            rows.push(row);
+        }
+        const doc = new docxtemplater(new PizZip(content), { paragraphLoop: true, linebreaks: true });
+        doc.setData({
+            ...buildEventTemplateData(getActiveEvent()),
+            labelCount: labels.length,
+            labels: labels.map((label, index) => ({ ...label, pageBreak: index === labels.length - 1 ? '' : PAGE_BREAK_XML })),
+            rows
+        });
+        doc.render();
+        return doc.getZip();
+    }
+
+    generateLabelsBtn.addEventListener('click', () => {
+        try {
             if (invitedList.length === 0) {
                 alert('لائحة المدعوين فارغة. الرجاء إضافة موظفين أولاً.');
                 return;
@@ -542,77 +3899,502 @@ document.addEventListener('DOMContentLoaded', () => {
                 alert('عذرًا، حدث خطأ أثناء تحميل مكتبات إنشاء الالمستندات.');
                 return;
             }
+            const labels = buildLabels();
+            if (labels.length === 0) {
+                alert('تم استبعاد جميع المجموعات من التصدير في نافذة المعاينة.');
+                return;
+            }
+            const template = templateLibrary.find(t => t.id === labelSettings.templateId);
+            const zip = template ? renderLabelsTemplate(labels, template.content) : buildDefaultLabelsDocument(labels);
+            const out = zip.generate({ type: 'blob', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' });
+            const kind = labelSettings.format === 'envelopes' ? 'أظرفة' : 'ملصقات';
+            downloadBlob(out, `DocGen-${kind}-${new Date().toISOString().slice(0, 10)}.docx`);
+            alert(`تم إنشاء ${labels.length} ${labelSettings.format === 'envelopes' ? 'ظرف' : 'ملصق'} بنجاح!`);
+        } catch (error) {
+            console.error('An unexpected error occurred during label generation:', error);
+            alert(`حدث خطأ غير متوقع أثناء إنشاء الملف:\n${describeTemplateError(error)}`);
+        }
+    });
 
-            const groupedEmployees = invitedList.reduce((acc, emp) => {
-                const key = `${emp.workLocation || 'N/A'}_${emp.division || 'N/A'}_${emp.city || 'N/A'}`;
-                if (!acc[key]) {
-                    acc[key] = {
-                        workLocation: emp.workLocation,
-                        division: emp.division,
-                        city: emp.city,
-                        employees: []
-                    };
-                }
-                acc[key].employees.push(emp);
-                return acc;
-            }, {});
+    // --- Grammar Dictionary Manager ---
 
-            for (const key in groupedEmployees) {
-                const group = groupedEmployees[key];
-                const { workLocation, division, employees } = group;
+    /**
+     * Renders the dictionary table of the grammar manager.
+     */
+    function renderGrammarTable() {
+        grammarTableBody.innerHTML = '';
+        Object.keys(jobTitleGrammar).sort((a, b) => a.localeCompare(b, 'ar')).forEach(root => {
+            const entry = jobTitleGrammar[root];
+            const row = grammarTableBody.insertRow();
+            [root, entry.m.s, entry.m.d, entry.m.p, entry.f.s, entry.f.d, entry.f.p, entry.prep || '—'].forEach(value => {
+                row.insertCell().textContent = value;
+            });
+            const actions = row.insertCell();
+            actions.className = 'item-actions';
+            actions.innerHTML = `
+                <button class="small-btn" data-action="edit" data-root="${escapeHtml(root)}">تعديل</button>
+                <button class="delete-btn" data-action="delete" data-root="${escapeHtml(root)}">حذف</button>
+            `;
+        });
+    }
 
-                const responsiblePerson = employeeData.find(e => {
-                    if (e.workLocation !== workLocation || e.division !== division || e.city !== employees[0].city) return false;
-                    return isResponsible(e);
-                });
+    /**
+     * Fills the entry form, either with an existing entry or empty for a new one.
+     * @param {string} [root] - The title to edit.
+     */
+    function fillGrammarForm(root) {
+        const entry = root ? jobTitleGrammar[root] : null;
+        grammarForm.elements.root.value = root || '';
+        grammarForm.elements.root.dataset.originalRoot = root || '';
+        ['m', 'f'].forEach(gender => ['s', 'd', 'p'].forEach(n => {
+            grammarForm.elements[`${gender}${n}`].value = entry ? entry[gender][n] : '';
+        }));
+        grammarForm.elements.prep.value = entry ? (entry.prep || '') : 'ب';
+    }
 
-                let responsibilityLine = '';
-                if (responsiblePerson) {
-                    const genderPrefix = responsiblePerson.gender === 'السيدة' ? 'السيدة' : 'السيد';
-                    responsibilityLine = `${genderPrefix} ${responsiblePerson.jobTitle}`;
-                }
-                
-                const responsiblePersonId = responsiblePerson ? responsiblePerson.employeeId : null;
-                const filteredEmployees = employees.filter(e => e.employeeId !== responsiblePersonId);
-                
-                const processedData = processGroupData(filteredEmployees);
+    toggleGrammarManagerBtn.addEventListener('click', () => {
+        grammarManagerContainer.classList.toggle('hidden');
+    });
 
-                const zip = new PizZip(wordTemplate);
-                const doc = new docxtemplater(zip, { paragraphLoop: true, linebreaks: true });
+    grammarTableBody.addEventListener('click', (event) => {
+        const { action, root } = event.target.dataset;
+        if (!action || !jobTitleGrammar[root]) return;
 
-                doc.setData({
-                    workLocation: workLocation,
-                    division: division,
-                    employees: filteredEmployees,
-                    responsibilityLine: responsibilityLine,
-                    ...processedData
+        if (action === 'edit') {
+            fillGrammarForm(root);
+            grammarForm.elements.root.focus();
+        } else if (action === 'delete' && confirm(`هل تريد حذف الصفة "${root}" من القاموس؟`)) {
+            delete jobTitleGrammar[root];
+            saveJobTitleGrammar();
+            renderGrammarTable();
+        }
+    });
+
+    /**
+     * Saves the entry typed in the form. Renaming an entry removes the old key.
+     */
+    grammarForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const elements = grammarForm.elements;
+        const root = elements.root.value.trim();
+        const entry = {
+            m: { s: elements.ms.value.trim(), d: elements.md.value.trim(), p: elements.mp.value.trim() },
+            f: { s: elements.fs.value.trim(), d: elements.fd.value.trim(), p: elements.fp.value.trim() },
+            prep: elements.prep.value
+        };
+        if (!root || !isValidGrammarEntry(entry)) {
+            alert('الرجاء ملء الصفة وجميع صيغ المفرد والمثنى والجمع للمذكر والمؤنث.');
+            return;
+        }
+        const originalRoot = elements.root.dataset.originalRoot;
+        if (root !== originalRoot && jobTitleGrammar[root] && !confirm(`الصفة "${root}" موجودة. هل تريد استبدالها؟`)) {
+            return;
+        }
+        if (originalRoot && originalRoot !== root) {
+            delete jobTitleGrammar[originalRoot];
+        }
+        jobTitleGrammar[root] = entry;
+        saveJobTitleGrammar();
+        renderGrammarTable();
+        fillGrammarForm();
+    });
+
+    grammarForm.addEventListener('reset', (event) => {
+        event.preventDefault();
+        fillGrammarForm();
+    });
+
+    /**
+     * Exports the dictionary as a JSON file that can be imported on another machine.
+     */
+    exportGrammarBtn.addEventListener('click', () => {
+        const blob = new Blob([JSON.stringify({ jobTitleGrammar }, null, 2)], { type: 'application/json' });
+        downloadBlob(blob, 'jobTitleGrammar.json');
+    });
+
+    /**
+     * Imports entries from a JSON file. Imported entries replace existing entries
+     * with the same title; other existing entries are kept.
+     */
+    importGrammarUpload.addEventListener('change', (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const data = JSON.parse(e.target.result);
+                const entries = data.jobTitleGrammar || data;
+                const validRoots = Object.keys(entries).filter(root => root.trim() && isValidGrammarEntry(entries[root]));
+                const invalidCount = Object.keys(entries).length - validRoots.length;
+                if (validRoots.length === 0) {
+                    alert('لم يتم العثور على صفات صالحة في الملف.');
+                    return;
+                }
+                validRoots.forEach(root => {
+                    const entry = entries[root];
+                    jobTitleGrammar[root.trim()] = { m: { ...entry.m }, f: { ...entry.f }, prep: entry.prep || '' };
                 });
+                saveJobTitleGrammar();
+                renderGrammarTable();
+                alert(`تم استيراد ${validRoots.length} صفة.${invalidCount ? ` تم تجاهل ${invalidCount} صفة غير صالحة.` : ''}`);
+            } catch (error) {
+                console.error('Error importing grammar dictionary:', error);
+                alert('حدث خطأ أثناء قراءة الملف. الرجاء التأكد من أن الملف بصيغة JSON صحيحة.');
+            } finally {
+                importGrammarUpload.value = '';
+            }
+        };
+        reader.readAsText(file);
+    });
+
+    resetGrammarBtn.addEventListener('click', () => {
+        if (confirm('سيتم استبدال القاموس الحالي بالقاموس الافتراضي. هل تريد المتابعة؟')) {
+            jobTitleGrammar = JSON.parse(JSON.stringify(DEFAULT_JOB_TITLE_GRAMMAR));
+            saveJobTitleGrammar();
+            renderGrammarTable();
+        }
+    });
+
+    // --- Workspace Backup ---
+
+    const WORKSPACE_FORMAT = 'docgen-workspace';
+    const WORKSPACE_VERSION = 1;
+    // localStorage keys saved in a workspace archive, with the kind of value each
+    // one holds: a JSON list of records, a JSON object or plain text.
+    const WORKSPACE_STORAGE_TYPES = {
+        employeeData: 'list',
+        invitationEvents: 'list',
+        activeEventId: 'text',
+        invitationRules: 'list',
+        jobTitleGrammar: 'object',
+        letterRegistry: 'list',
+        referenceSettings: 'object',
+        employeeColumnMapping: 'object',
+        labelSettings: 'object'
+    };
+    const WORKSPACE_STORAGE_KEYS = Object.keys(WORKSPACE_STORAGE_TYPES);
+
+    /**
+     * Loads every part of the workspace from storage and renders it. Used at
+     * startup and after a workspace import.
+     */
+    async function loadWorkspace() {
+        loadJobTitleGrammar();
+        loadEmployeeData();
+        renderGrammarTable();
+        fillGrammarForm();
+        loadEvents();
+        loadInvitationRules();
+        loadLetterRegistry();
+        loadLabelSettings();
+        renderRules();
+        editRule('');
+        renderStorageUsage();
+        await initTemplateLibrary();
+    }
+
+    /**
+     * Exports the whole workspace as one .zip archive: workspace.json holds the
+     * stored data and the template metadata, templates/ holds the .docx files.
+     */
+    exportWorkspaceBtn.addEventListener('click', () => {
+        if (typeof PizZip === 'undefined') {
+            alert('عذرًا، حدث خطأ أثناء تحميل مكتبات إنشاء الالمستندات.');
+            return;
+        }
+        const storage = {};
+        WORKSPACE_STORAGE_KEYS.forEach(key => {
+            const value = localStorage.getItem(key);
+            if (value !== null) storage[key] = value;
+        });
+        const archive = new PizZip();
+        templateLibrary.forEach(template => archive.file(`templates/${template.id}.docx`, template.content));
+        archive.file('workspace.json', JSON.stringify({
+            format: WORKSPACE_FORMAT,
+            version: WORKSPACE_VERSION,
+            exportedAt: new Date().toISOString(),
+            storage,
+            templates: templateLibrary.map(({ content, ...metadata }) => metadata)
+        }, null, 2));
+        const out = archive.generate({ type: 'blob', mimeType: 'application/zip', compression: 'DEFLATE' });
+        downloadBlob(out, `DocGen-workspace-${new Date().toISOString().slice(0, 10)}.zip`);
+    });
+
+    /**
+     * Checks that a stored value of an archive has the shape the application expects,
+     * so that an invalid archive is rejected before the current data is touched.
+     * @param {string} key - A key of WORKSPACE_STORAGE_TYPES.
+     * @param {string} value - The stored value.
+     * @returns {boolean} - True if the value can be loaded.
+     */
+    function isValidStoredValue(key, value) {
+        const type = WORKSPACE_STORAGE_TYPES[key];
+        if (type === 'text') return true;
+        let parsed;
+        try {
+            parsed = JSON.parse(value);
+        } catch (error) {
+            return false;
+        }
+        const isObject = item => item !== null && typeof item === 'object' && !Array.isArray(item);
+        if (type === 'list') {
+            if (!Array.isArray(parsed) || !parsed.every(isObject)) return false;
+            if (key === 'invitationEvents' || key === 'invitationRules') return parsed.every(item => typeof item.id === 'string');
+            return true;
+        }
+        if (!isObject(parsed)) return false;
+        if (key === 'referenceSettings') return typeof parsed.pattern === 'string' && isObject(parsed.lastSeq);
+        return true;
+    }
+
+    /**
+     * Reads a workspace archive and checks its format, its version and every stored value.
+     * @param {ArrayBuffer} content - The content of the .zip file.
+     * @returns {{storage: Object, templates: Array<Object>}} - The stored values and the template records.
+     * @throws {Error} - With a message for the user if the archive cannot be imported.
+     */
+    function readWorkspaceArchive(content) {
+        let zip;
+        try {
+            zip = new PizZip(content);
+        } catch (error) {
+            throw new Error('الملف ليس أرشيف مساحة عمل صالحا (.zip).');
+        }
+        const manifestFile = zip.file('workspace.json');
+        if (!manifestFile) throw new Error('الأرشيف لا يحتوي على الملف workspace.json.');
+        let manifest;
+        try {
+            manifest = JSON.parse(manifestFile.asText());
+        } catch (error) {
+            throw new Error('الملف workspace.json غير صالح.');
+        }
+        if (!manifest || manifest.format !== WORKSPACE_FORMAT || !Number.isInteger(manifest.version)) {
+            throw new Error('الملف ليس نسخة احتياطية لمساحة عمل DocGen.');
+        }
+        if (manifest.version > WORKSPACE_VERSION) {
+            throw new Error(`هذه النسخة الاحتياطية أنشئت بإصدار أحدث من التطبيق (الإصدار ${manifest.version}). يرجى تحديث التطبيق أولا.`);
+        }
+        const storage = {};
+        WORKSPACE_STORAGE_KEYS.forEach(key => {
+            const value = (manifest.storage || {})[key];
+            if (value === undefined) return;
+            if (typeof value !== 'string' || !isValidStoredValue(key, value)) {
+                throw new Error(`بيانات "${key}" في النسخة الاحتياطية غير صالحة. لم يتم تغيير أي شيء.`);
+            }
+            storage[key] = value;
+        });
+        const templates = (manifest.templates || [])
+            .filter(metadata => zip.file(`templates/${metadata.id}.docx`))
+            .map(metadata => ({ ...metadata, content: zip.file(`templates/${metadata.id}.docx`).asArrayBuffer() }));
+        return { storage, templates };
+    }
+
+    /**
+     * Replaces the current workspace with the content of an archive.
+     * @param {Object} storage - The stored values of the archive.
+     * @param {Array<Object>} templates - The template records of the archive.
+     */
+    async function replaceWorkspace(storage, templates) {
+        const values = {};
+        WORKSPACE_STORAGE_KEYS.forEach(key => {
+            values[key] = key in storage ? storage[key] : null;
+        });
+        const previous = writeWorkspaceValues(values);
+        try {
+            await runTemplateStoreRequest('readwrite', store => {
+                store.clear();
+                templates.forEach(template => store.put(template));
+                return store.count();
+            });
+        } catch (error) {
+            restoreWorkspaceValues(previous);
+            throw error;
+        }
+    }
+
+    /**
+     * Reads the current value of every workspace key.
+     * @returns {Object} - The stored values by key, null for a missing key.
+     */
+    function readWorkspaceValues() {
+        const values = {};
+        WORKSPACE_STORAGE_KEYS.forEach(key => {
+            values[key] = localStorage.getItem(key);
+        });
+        return values;
+    }
+
+    /**
+     * Puts back the values returned by readWorkspaceValues().
+     * @param {Object} values - The stored values by key, null for a missing key.
+     */
+    function restoreWorkspaceValues(values) {
+        Object.keys(values).forEach(key => localStorage.removeItem(key));
+        Object.keys(values).forEach(key => {
+            if (values[key] !== null) localStorage.setItem(key, values[key]);
+        });
+    }
+
+    /**
+     * Writes the values of an import all together: if the storage quota is hit
+     * on any of them, every workspace key is put back as it was and an error is
+     * thrown, so an import either fully succeeds or changes nothing.
+     * @param {Object} values - The values to store by key, null to remove a key.
+     * @returns {Object} - The previous values, to restore if a later step fails.
+     * @throws {Error} - With a message for the user if the values do not fit.
+     */
+    function writeWorkspaceValues(values) {
+        const previous = readWorkspaceValues();
+        try {
+            Object.keys(values).forEach(key => localStorage.removeItem(key));
+            Object.keys(values).forEach(key => {
+                if (values[key] !== null) localStorage.setItem(key, values[key]);
+            });
+        } catch (error) {
+            console.error('Error writing the workspace to localStorage:', error);
+            restoreWorkspaceValues(previous);
+            throw new Error('مساحة التخزين في المتصفح لا تتسع لمحتوى النسخة الاحتياطية. لم يتم تغيير أي شيء.');
+        }
+        scheduleStorageUsageRender();
+        return previous;
+    }
+
+    /**
+     * Adds the content of an archive to the current workspace. Records already
+     * present (same employee ID, event, rule, title, registry entry or template id)
+     * are kept as they are.
+     * @param {Object} storage - The stored values of the archive.
+     * @param {Array<Object>} templates - The template records of the archive.
+     * @returns {Array<string>} - The reference numbers now used by more than one
+     *          registry entry, e.g. when two computers numbered letters separately.
+     */
+    async function mergeWorkspace(storage, templates) {
+        const parse = (key, fallback) => (storage[key] ? JSON.parse(storage[key]) : fallback);
+        const mergeById = (current, incoming, getId) => {
+            const ids = new Set(current.map(getId));
+            return [...current, ...incoming.filter(item => !ids.has(getId(item)))];
+        };
 
-                doc.render();
+        const values = {
+            employeeData: JSON.stringify(mergeById(employeeData, parse('employeeData', []), emp => employeeKey(emp.employeeId))),
+            invitationEvents: JSON.stringify(mergeById(events, parse('invitationEvents', []), event => event.id)),
+            invitationRules: JSON.stringify(mergeById(invitationRules, parse('invitationRules', []), rule => rule.id)),
+            jobTitleGrammar: JSON.stringify({ ...parse('jobTitleGrammar', {}), ...jobTitleGrammar })
+        };
+        // Entries saved before registry ids existed are compared as a whole.
+        const mergedRegistry = mergeById(letterRegistry, parse('letterRegistry', []), entry => entry.id || JSON.stringify(entry));
+        values.letterRegistry = JSON.stringify(mergedRegistry);
+        const seenReferences = new Set();
+        const collisions = new Set();
+        mergedRegistry.forEach(entry => {
+            if (seenReferences.has(entry.reference)) collisions.add(entry.reference);
+            seenReferences.add(entry.reference);
+        });
+
+        // The numbering continues after the highest number used in either workspace.
+        const incomingSettings = parse('referenceSettings', { lastSeq: {} });
+        const lastSeq = { ...referenceSettings.lastSeq };
+        Object.keys(incomingSettings.lastSeq).forEach(year => {
+            lastSeq[year] = Math.max(lastSeq[year] || 0, incomingSettings.lastSeq[year]);
+        });
+        values.referenceSettings = JSON.stringify({ ...referenceSettings, lastSeq });
+        if (!localStorage.getItem('employeeColumnMapping') && storage.employeeColumnMapping) {
+            values.employeeColumnMapping = storage.employeeColumnMapping;
+        }
+        const previous = writeWorkspaceValues(values);
 
-                const out = doc.getZip().generate({
-                    type: 'blob',
-                    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        const hasDefault = templateLibrary.some(template => template.isDefault);
+        const newTemplates = templates.filter(template => !templateLibrary.some(t => t.id === template.id));
+        if (newTemplates.length > 0) {
+            try {
+                await runTemplateStoreRequest('readwrite', store => {
+                    newTemplates.forEach(template => store.put({ ...template, isDefault: template.isDefault && !hasDefault }));
+                    return store.count();
                 });
-                
-                const url = URL.createObjectURL(out);
-                const a = document.createElement('a');
-                a.href = url;
-                const city = processedData.city || 'N/A';
-                a.download = `${city}-${workLocation}-${division}.docx`;
-                document.body.appendChild(a);
-                a.click();
-                URL.revokeObjectURL(url);
-                a.remove();
-            }
-            alert('تم إنشاء الالمستندات بنجاح!');
+            } catch (error) {
+                restoreWorkspaceValues(previous);
+                throw error;
+            }
+        }
+        return [...collisions];
+    }
+
+    /**
+     * Handles the import of a workspace archive, replacing or merging after confirmation.
+     */
+    workspaceUpload.addEventListener('change', async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+        try {
+            const { storage, templates } = readWorkspaceArchive(await readFileAsArrayBuffer(file));
+            const count = key => (storage[key] ? Object.keys(JSON.parse(storage[key])).length : 0);
+            const contents = `${count('employeeData')} موظف، ${count('invitationEvents')} اجتماع، ${count('invitationRules')} قاعدة، ${count('letterRegistry')} رسالة في السجل، ${templates.length} نموذج.`;
+            const replace = workspaceImportModeSelect.value === 'replace';
+            const message = replace
+                ? `سيتم حذف كل البيانات الحالية واستبدالها بمحتوى النسخة الاحتياطية:\n${contents}\nهل تريد المتابعة؟`
+                : `سيتم دمج محتوى النسخة الاحتياطية مع البيانات الحالية:\n${contents}\nهل تريد المتابعة؟`;
+            if (!confirm(message)) return;
+
+            let collisions = [];
+            if (replace) await replaceWorkspace(storage, templates);
+            else collisions = await mergeWorkspace(storage, templates);
+            await loadWorkspace();
+            alert(collisions.length > 0
+                ? `تم استيراد مساحة العمل بنجاح.\nتنبيه: أرقام صادر مستعملة لأكثر من رسالة في السجل: ${collisions.join('، ')}`
+                : 'تم استيراد مساحة العمل بنجاح.');
         } catch (error) {
-            console.error('An unexpected error occurred during Word generation:', error);
-            alert(`حدث خطأ غير متوقع أثناء إنشاء الملف: ${error.message}`);
+            console.error('Error importing workspace:', error);
+            alert(`تعذر استيراد مساحة العمل:\n${error.message}`);
+        } finally {
+            workspaceUpload.value = '';
         }
     });
 
+    // --- Offline Support ---
+
+    // Libraries bundled in vendor/ that the features depend on.
+    const REQUIRED_LIBRARIES = [
+        { name: 'XLSX', purpose: 'ملفات Excel', isLoaded: () => typeof XLSX !== 'undefined' },
+        { name: 'PizZip', purpose: 'ملفات Word والأرشيف', isLoaded: () => typeof PizZip !== 'undefined' },
+        { name: 'docxtemplater', purpose: 'توليد الرسائل', isLoaded: () => typeof docxtemplater !== 'undefined' }
+    ];
+
+    /**
+     * Shows in the header whether every library is loaded and whether the app
+     * is available offline.
+     * @param {boolean} offlineReady - True once the service worker is active.
+     */
+    function renderAppStatus(offlineReady) {
+        const missing = REQUIRED_LIBRARIES.filter(library => !library.isLoaded());
+        appStatusP.classList.toggle('app-status-error', missing.length > 0);
+        if (missing.length > 0) {
+            const names = missing.map(library => `${library.name} (${library.purpose})`).join('، ');
+            appStatusP.textContent = `⚠ مكتبات غير محملة: ${names}. تأكد من وجود المجلد vendor بجانب index.html.`;
+        } else {
+            appStatusP.textContent = offlineReady
+                ? '✔ جميع المكتبات محملة — التطبيق متاح بدون اتصال'
+                : '✔ جميع المكتبات محملة';
+        }
+    }
+
+    /**
+     * Registers the service worker that caches the application for offline use.
+     * Service workers are not available when index.html is opened as a local file.
+     */
+    function registerServiceWorker() {
+        renderAppStatus(false);
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+        navigator.serviceWorker.register('sw.js')
+            .then(() => navigator.serviceWorker.ready)
+            .then(() => renderAppStatus(true))
+            .catch(error => console.error('Service worker registration failed:', error));
+    }
+
     // --- Initial Application Load ---
-    loadEmployeeData();
-    loadInvitedList();
+    registerServiceWorker();
+    loadWorkspace().catch(error => {
+        console.error('Error loading the workspace:', error);
+        alert(`تعذر تحميل البيانات المحفوظة:\n${error.message}\nيمكنك استيراد نسخة احتياطية لمساحة العمل في وضع الاستبدال.`);
+    });
 });
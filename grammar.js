@@ -0,0 +1,251 @@
+/**
+ * @file Arabic grammar rules used to word the invitation letters: declension of
+ * job titles by gender and number, honorifics (السيد/السيدين/السادة...) and the
+ * collective phrases passed to the Word templates.
+ * Loaded as a plain script in the browser (exposed as `DocGenGrammar`) and
+ * importable from Node with require() for the test suite.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DocGenGrammar = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Default declensions, keyed by the masculine singular title as it appears in the data.
+    // Forms are stored without the preposition; `prep` is appended by withPreposition().
+    const DEFAULT_JOB_TITLE_GRAMMAR = {
+        'قاضي': { m: {s: 'القاضي', d: 'القاضيين', p: 'القضاة'}, f: {s: 'القاضية', d: 'القاضيتين', p: 'القاضيات'}, prep: 'ب' },
+        'مستشار': { m: {s: 'المستشار', d: 'المستشارين', p: 'المستشارون'}, f: {s: 'المستشارة', d: 'المستشارتين', p: 'المستشارات'}, prep: 'ب' },
+        'محام عام': { m: {s: 'محام عام', d: 'محاميان عامان', p: 'محامون عامون'}, f: {s: 'محامية عامة', d: 'محاميتان عامتان', p: 'محاميات عامات'}, prep: '' },
+        'نائب الوكيل العام للملك': { m: {s: 'نائب الوكيل العام للملك', d: 'نائبا الوكيل العام للملك', p: 'نواب الوكيل العام للملك'}, f: {s: 'نائبة الوكيل العام للملك', d: 'نائبتا الوكيل العام للملك', p: 'نائبات الوكيل العام للملك'}, prep: 'لدى' },
+        'نائب وكيل الملك': { m: {s: 'نائب وكيل الملك', d: 'نائبا وكيل الملك', p: 'نواب وكيل الملك'}, f: {s: 'نائبة وكيل الملك', d: 'نائبتا وكيل الملك', p: 'نائبات وكيل الملك'}, prep: 'لدى' },
+        'الوكيل العام للملك': { m: {s: 'الوكيل العام للملك', d: 'الوكيلين العامين للملك', p: 'الوكلاء العامين للملك'}, f: {s: 'الوكيلة العامة للملك', d: 'الوكيلتين العامتين للملك', p: 'الوكيلات العامات للملك'}, prep: 'لدى' },
+        'وكيل الملك': { m: {s: 'وكيل الملك', d: 'وكيلي الملك', p: 'وكلاء الملك'}, f: {s: 'وكيلة الملك', d: 'وكيلتي الملك', p: 'وكيلات الملك'}, prep: 'لدى' },
+        'رئيس غرفة': { m: {s: 'رئيس الغرفة', d: 'رئيسي الغرفة', p: 'رؤساء الغرف'}, f: {s: 'رئيسة الغرفة', d: 'رئيستي الغرفة', p: 'رئيسات الغرف'}, prep: 'ب' },
+        'قاضي التحقيق': { m: {s: 'قاضي التحقيق', d: 'قاضيي التحقيق', p: 'قضاة التحقيق'}, f: {s: 'قاضية التحقيق', d: 'قاضيتي التحقيق', p: 'قاضيات التحقيق'}, prep: 'ب' },
+        'كاتب ضبط': { m: {s: 'كاتب الضبط', d: 'كاتبي الضبط', p: 'كتاب الضبط'}, f: {s: 'كاتبة الضبط', d: 'كاتبتي الضبط', p: 'كاتبات الضبط'}, prep: 'ب' },
+    };
+
+    /**
+     * Appends the preposition of a grammar entry to a declined title.
+     * "ب" is left attached to the following word (e.g. "القاضي بالمحكمة"),
+     * other prepositions are followed by a space (e.g. "وكيل الملك لدى المحكمة").
+     * @param {string} form - The declined title.
+     * @param {string} prep - The preposition of the entry ('ب', 'لدى' or '').
+     * @returns {string} - The title ready to be followed by the work location.
+     */
+    function withPreposition(form, prep) {
+        if (!prep) return form;
+        return prep === 'ب' ? `${form} ب` : `${form} ${prep} `;
+    }
+
+    /**
+     * Checks that an object has the shape of a grammar entry.
+     * @param {Object} entry - The candidate entry.
+     * @returns {boolean} - True if all six forms are non-empty strings.
+     */
+    function isValidGrammarEntry(entry) {
+        if (!entry || typeof entry !== 'object') return false;
+        return ['m', 'f'].every(gender => entry[gender] && ['s', 'd', 'p'].every(n =>
+            typeof entry[gender][n] === 'string' && entry[gender][n].trim() !== ''));
+    }
+
+    /**
+     * Finds the masculine root key for a given job title from the grammar dictionary.
+     * @param {string} title - The job title to find the root for.
+     * @param {Object} dictionary - The grammar dictionary.
+     * @returns {string} - The masculine root key from the dictionary, or the original title if not found.
+     */
+    function findMasculineRoot(title, dictionary) {
+        if (!title) return '';
+        // Check for a direct match (i.e., the title is already the masculine root)
+        if (dictionary[title]) {
+            return title;
+        }
+        // If not, iterate through the dictionary to find a match for a feminine form.
+        for (const key in dictionary) {
+            const grammar = dictionary[key];
+            if (grammar.f.s.trim() === title || grammar.f.d.trim() === title || grammar.f.p.trim() === title) {
+                return key; // Return the masculine root key
+            }
+        }
+        // Fallback for compound titles where the feminine marker is on the first word.
+        // This is a more robust way to handle titles like "نائبة وكيل الملك".
+        const firstWord = title.split(' ')[0];
+        if (firstWord.endsWith('ة')) {
+            const masculinizedTitle = title.replace(firstWord, firstWord.slice(0, -1));
+            if (dictionary[masculinizedTitle]) {
+                return masculinizedTitle;
+            }
+        }
+        return title; // Return the original title if no key is found
+    }
+
+    /**
+     * Builds the honorific and names of a set of employees, masculine first,
+     * e.g. "السيدين أحمد و محمد و السيدة فاطمة".
+     * @param {Array<Object>} employees - The employees to name.
+     * @returns {string} - The honorific phrase, without the leading 'ب'.
+     */
+    function buildHonorificNames(employees) {
+        const males = employees.filter(e => e.gender === 'السيد');
+        const females = employees.filter(e => e.gender === 'السيدة');
+        const parts = [];
+        if (males.length > 0) {
+            const title = males.length === 1 ? 'السيد' : (males.length === 2 ? 'السيدين' : 'السادة');
+            parts.push(`${title} ${males.map(e => e.fullName).join(' و ')}`);
+        }
+        if (females.length > 0) {
+            const title = females.length === 1 ? 'السيدة' : (females.length === 2 ? 'السيدتين' : 'السيدات');
+            parts.push(`${title} ${females.map(e => e.fullName).join(' و ')}`);
+        }
+        return parts.join(' و ');
+    }
+
+    /**
+     * Declines a job title for a set of employees sharing it. Mixed-gender sets
+     * take the masculine form; dual and plural follow the number of employees.
+     * @param {string} title - The job title as it appears in the data.
+     * @param {Array<Object>} employees - The employees holding this title.
+     * @param {Object} dictionary - The grammar dictionary.
+     * @returns {{form: string, prep: string, known: boolean}} - The declined title and the preposition of its entry.
+     */
+    function declineJobTitle(title, employees, dictionary) {
+        const root = findMasculineRoot(title, dictionary);
+        const grammarSet = dictionary[root];
+        if (!grammarSet) {
+            return { form: title, prep: '', known: false }; // Fallback to the original title
+        }
+        const femaleCount = employees.filter(e => e.gender === 'السيدة').length;
+        const forms = femaleCount === employees.length ? grammarSet.f : grammarSet.m;
+        const form = employees.length === 1 ? forms.s : (employees.length === 2 ? forms.d : forms.p);
+        return { form, prep: grammarSet.prep || '', known: true };
+    }
+
+    /**
+     * Splits a group into sub-groups of employees sharing the same job title
+     * (feminine and masculine forms of a title are merged), in order of first appearance.
+     * @param {Array<Object>} employees - A list of employees in a single group.
+     * @param {Object} dictionary - The grammar dictionary.
+     * @returns {Array<Object>} - One entry per title with its declined form and honorific names.
+     */
+    function buildTitleGroups(employees, dictionary) {
+        const byRoot = new Map();
+        employees.forEach(emp => {
+            const title = (emp.jobTitle || '').trim();
+            const root = findMasculineRoot(title, dictionary);
+            if (!byRoot.has(root)) byRoot.set(root, { title, employees: [] });
+            byRoot.get(root).employees.push(emp);
+        });
+
+        return Array.from(byRoot.values()).map(({ title, employees: members }) => {
+            const { form, prep, known } = declineJobTitle(title, members, dictionary);
+            const males = members.filter(e => e.gender === 'السيد').length;
+            const females = members.filter(e => e.gender === 'السيدة').length;
+            return {
+                jobTitle: known ? withPreposition(form, prep) : form,
+                declinedTitle: form,
+                preposition: prep,
+                gender: females === members.length ? 'f' : (males === members.length ? 'm' : 'mixed'),
+                count: members.length,
+                names: members.map(e => e.fullName).join(' و '),
+                honorificNames: buildHonorificNames(members),
+                employees: members
+            };
+        });
+    }
+
+    /**
+     * Processes a group of employees to generate grammatically correct collective titles.
+     * When the group mixes several job titles, each title is declined for its own
+     * sub-group and every phrase but the last is completed with the work location,
+     * so that "{combinedJobTitle}{workLocation}" reads e.g.
+     * "القاضيين بالمحكمة الابتدائية والمستشارة بالمحكمة الابتدائية".
+     * When the members do not share a work location ({workLocation} is then empty),
+     * every phrase, the last one included, is completed with the work location of
+     * its own members, e.g. "القاضي بالمحكمة الابتدائية والمستشارة بمحكمة الاستئناف".
+     * @param {Array<Object>} employees - A list of employees in a single group.
+     * @param {string} workLocation - The work location of the group, or '' if not shared.
+     * @param {Object} dictionary - The grammar dictionary.
+     * @returns {Object} - An object containing various processed strings for the template.
+     */
+    function processGroupData(employees, workLocation, dictionary) {
+        const males = employees.filter(e => e.gender === 'السيد');
+        const females = employees.filter(e => e.gender === 'السيدة');
+
+        // Generate base title for males
+        let maleCollectiveTitle = '';
+        if (males.length > 0) {
+            maleCollectiveTitle = buildHonorificNames(males);
+        }
+
+        // Generate base title for females
+        let femaleCollectiveTitle = '';
+        if (females.length > 0) {
+            femaleCollectiveTitle = buildHonorificNames(females);
+        }
+
+        // Add 'ب' prefix to the beginning of the collective title string.
+        if (males.length > 0) {
+            maleCollectiveTitle = `ب${maleCollectiveTitle}`;
+        } else if (females.length > 0) {
+            femaleCollectiveTitle = `ب${femaleCollectiveTitle}`;
+        }
+
+        // Add 'و' connector if the group is mixed.
+        if (males.length > 0 && females.length > 0) {
+            femaleCollectiveTitle = ` و ${femaleCollectiveTitle}`;
+        }
+
+        // Generate a context-dependent variable (e.g., "المعني", "المعنيان", "المعنيين")
+        let computedVar = '';
+        const totalCount = employees.length;
+        if (totalCount === 1) {
+            computedVar = males.length === 1 ? 'المعني' : 'المعنية';
+        } else if (totalCount === 2) {
+            if (males.length === 2) computedVar = 'المعنيين';
+            else if (females.length === 2) computedVar = 'المعنيتين';
+            else computedVar = 'المعنيين';
+        } else {
+            computedVar = males.length > 0 ? 'المعنيين' : 'المعنيات';
+        }
+
+        const city = employees.length > 0 ? employees[0].city : '';
+
+        // Each job title is declined for its own sub-group.
+        const titleGroups = buildTitleGroups(employees, dictionary);
+        const combinedJobTitle = titleGroups.map((group, index) => {
+            const location = workLocation
+                || [...new Set(group.employees.map(e => e.workLocation).filter(Boolean))].join(' و');
+            if ((index === titleGroups.length - 1 && workLocation) || !location) return group.jobTitle;
+            const separator = group.jobTitle.endsWith('ب') || group.jobTitle.endsWith(' ') ? '' : ' ';
+            return `${group.jobTitle}${separator}${location}`;
+        }).join(' و');
+
+        // A simple string of all names, joined by 'and'.
+        const invitees_names = employees.map(e => e.fullName).join(' و ');
+
+        // A single variable containing the full, grammatically correct collective title,
+        // with the names listed in the same title order as combinedJobTitle.
+        const collective_title = employees.length > 0
+            ? `ب${titleGroups.map(group => group.honorificNames).filter(Boolean).join(' و ')}`
+            : '';
+
+        return { city, maleCollectiveTitle, femaleCollectiveTitle, computedVar, combinedJobTitle, invitees_names, collective_title, titleGroups };
+    }
+
+    return {
+        DEFAULT_JOB_TITLE_GRAMMAR,
+        withPreposition,
+        isValidGrammarEntry,
+        findMasculineRoot,
+        buildHonorificNames,
+        declineJobTitle,
+        buildTitleGroups,
+        processGroupData
+    };
+}));
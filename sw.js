@@ -0,0 +1,59 @@
+// Service worker: keeps a copy of the application and its libraries so that
+// DocGen works without a network connection once it has been opened.
+
+// Bump the version when files are added or removed, so that clients rebuild their cache.
+const CACHE_NAME = 'docgen-v1';
+const APP_FILES = [
+    './',
+    './index.html',
+    './style.css',
+    './app.js',
+    './grammar.js',
+    './manifest.webmanifest',
+    './icons/icon.svg',
+    './icons/icon-192.png',
+    './icons/icon-512.png',
+    './vendor/xlsx.full.min.js',
+    './vendor/pizzip.min.js',
+    './vendor/docxtemplater.js',
+    './vendor/fonts/cairo.css',
+    './vendor/fonts/cairo-arabic-400-normal.woff2',
+    './vendor/fonts/cairo-arabic-700-normal.woff2',
+    './vendor/fonts/cairo-latin-400-normal.woff2',
+    './vendor/fonts/cairo-latin-700-normal.woff2',
+    './vendor/fonts/cairo-latin-ext-400-normal.woff2',
+    './vendor/fonts/cairo-latin-ext-700-normal.woff2'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Removes the caches of previous versions.
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Serves files from the cache and refreshes the cached copy in the background,
+// so that an updated application is used from the next visit on.
+self.addEventListener('fetch', (event) => {
+    if (event.request.method !== 'GET' || new URL(event.request.url).origin !== self.location.origin) return;
+    event.respondWith(caches.open(CACHE_NAME).then(async (cache) => {
+        const cached = await cache.match(event.request, { ignoreSearch: true });
+        const network = fetch(event.request).then(response => {
+            if (response.ok) cache.put(event.request, response.clone());
+            return response;
+        });
+        if (!cached) return network;
+        event.waitUntil(network.catch(() => undefined));
+        return cached;
+    }));
+});
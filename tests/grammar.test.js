@@ -0,0 +1,176 @@
+/**
+ * @file Golden tests for the grammar rules in grammar.js.
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DEFAULT_JOB_TITLE_GRAMMAR,
+    isValidGrammarEntry,
+    findMasculineRoot,
+    processGroupData
+} = require('../grammar.js');
+
+const dictionary = DEFAULT_JOB_TITLE_GRAMMAR;
+const LOCATION = 'المحكمة الابتدائية';
+
+let nextId = 1;
+const employee = (gender, jobTitle, fullName = `موظف ${nextId}`) => ({
+    fullName,
+    employeeId: nextId++,
+    gender,
+    jobTitle,
+    workLocation: LOCATION,
+    division: 'الغرفة المدنية',
+    city: 'الرباط'
+});
+const male = (jobTitle, name) => employee('السيد', jobTitle, name);
+const female = (jobTitle, name) => employee('السيدة', jobTitle, name);
+const process = employees => processGroupData(employees, LOCATION, dictionary);
+
+test('default dictionary entries are complete and free of stray spaces', () => {
+    Object.keys(dictionary).forEach(root => {
+        const entry = dictionary[root];
+        assert.ok(isValidGrammarEntry(entry), root);
+        ['m', 'f'].forEach(gender => ['s', 'd', 'p'].forEach(n => {
+            assert.equal(entry[gender][n], entry[gender][n].trim(), `${root}.${gender}.${n}`);
+        }));
+        assert.ok(['ب', 'لدى', ''].includes(entry.prep), root);
+    });
+});
+
+test('feminine dual forms of compound titles start with the feminine first word', () => {
+    Object.keys(dictionary).filter(root => root.includes(' ')).forEach(root => {
+        const feminineFirstWord = dictionary[root].f.s.split(' ')[0];
+        const stem = feminineFirstWord.replace(/ة$/, '');
+        assert.ok(dictionary[root].f.d.startsWith(stem), `${root}: ${dictionary[root].f.d}`);
+    });
+});
+
+test('findMasculineRoot resolves masculine, feminine and compound titles', () => {
+    assert.equal(findMasculineRoot('قاضي', dictionary), 'قاضي');
+    assert.equal(findMasculineRoot('القاضية', dictionary), 'قاضي');
+    assert.equal(findMasculineRoot('قاضية', dictionary), 'قاضي');
+    assert.equal(findMasculineRoot('مستشارة', dictionary), 'مستشار');
+    assert.equal(findMasculineRoot('نائبة وكيل الملك', dictionary), 'نائب وكيل الملك');
+    assert.equal(findMasculineRoot('نائبة الوكيل العام للملك', dictionary), 'نائب الوكيل العام للملك');
+    assert.equal(findMasculineRoot('عون قضائي', dictionary), 'عون قضائي');
+    assert.equal(findMasculineRoot('', dictionary), '');
+});
+
+test('one male invitee', () => {
+    const result = process([male('قاضي', 'أحمد')]);
+    assert.equal(result.collective_title, 'بالسيد أحمد');
+    assert.equal(result.maleCollectiveTitle, 'بالسيد أحمد');
+    assert.equal(result.femaleCollectiveTitle, '');
+    assert.equal(result.combinedJobTitle, 'القاضي ب');
+    assert.equal(result.computedVar, 'المعني');
+    assert.equal(result.invitees_names, 'أحمد');
+    assert.equal(result.city, 'الرباط');
+});
+
+test('one female invitee', () => {
+    const result = process([female('قاضية', 'فاطمة')]);
+    assert.equal(result.collective_title, 'بالسيدة فاطمة');
+    assert.equal(result.maleCollectiveTitle, '');
+    assert.equal(result.femaleCollectiveTitle, 'بالسيدة فاطمة');
+    assert.equal(result.combinedJobTitle, 'القاضية ب');
+    assert.equal(result.computedVar, 'المعنية');
+});
+
+test('two male invitees', () => {
+    const result = process([male('مستشار', 'أحمد'), male('مستشار', 'محمد')]);
+    assert.equal(result.collective_title, 'بالسيدين أحمد و محمد');
+    assert.equal(result.combinedJobTitle, 'المستشارين ب');
+    assert.equal(result.computedVar, 'المعنيين');
+});
+
+test('two female invitees', () => {
+    const result = process([female('مستشارة', 'فاطمة'), female('مستشارة', 'سعاد')]);
+    assert.equal(result.collective_title, 'بالسيدتين فاطمة و سعاد');
+    assert.equal(result.combinedJobTitle, 'المستشارتين ب');
+    assert.equal(result.computedVar, 'المعنيتين');
+});
+
+test('two mixed invitees take the masculine dual', () => {
+    const result = process([female('قاضية', 'فاطمة'), male('قاضي', 'أحمد')]);
+    assert.equal(result.collective_title, 'بالسيد أحمد و السيدة فاطمة');
+    assert.equal(result.maleCollectiveTitle, 'بالسيد أحمد');
+    assert.equal(result.femaleCollectiveTitle, ' و السيدة فاطمة');
+    assert.equal(result.combinedJobTitle, 'القاضيين ب');
+    assert.equal(result.computedVar, 'المعنيين');
+});
+
+test('three or more male invitees', () => {
+    const result = process([male('قاضي', 'أ'), male('قاضي', 'ب'), male('قاضي', 'ج')]);
+    assert.equal(result.collective_title, 'بالسادة أ و ب و ج');
+    assert.equal(result.combinedJobTitle, 'القضاة ب');
+    assert.equal(result.computedVar, 'المعنيين');
+});
+
+test('three or more female invitees', () => {
+    const result = process([female('قاضية', 'أ'), female('قاضية', 'ب'), female('قاضية', 'ج')]);
+    assert.equal(result.collective_title, 'بالسيدات أ و ب و ج');
+    assert.equal(result.combinedJobTitle, 'القاضيات ب');
+    assert.equal(result.computedVar, 'المعنيات');
+});
+
+test('three or more mixed invitees take the masculine plural', () => {
+    const result = process([female('قاضية', 'أ'), male('قاضي', 'ب'), female('قاضية', 'ج')]);
+    assert.equal(result.collective_title, 'بالسيد ب و السيدتين أ و ج');
+    assert.equal(result.combinedJobTitle, 'القضاة ب');
+    assert.equal(result.computedVar, 'المعنيين');
+});
+
+test('unknown titles fall back to the raw title', () => {
+    const result = process([male('عون قضائي', 'أحمد')]);
+    assert.equal(result.combinedJobTitle, 'عون قضائي');
+    assert.equal(result.titleGroups[0].preposition, '');
+});
+
+test('feminine compound titles use "لدى"', () => {
+    assert.equal(process([female('نائبة وكيل الملك')]).combinedJobTitle, 'نائبة وكيل الملك لدى ');
+    assert.equal(process([female('نائبة وكيل الملك'), female('نائبة وكيل الملك')]).combinedJobTitle, 'نائبتا وكيل الملك لدى ');
+    assert.equal(
+        process([female('نائبة الوكيل العام للملك'), female('نائبة الوكيل العام للملك')]).combinedJobTitle,
+        'نائبتا الوكيل العام للملك لدى '
+    );
+    assert.equal(process([male('نائب وكيل الملك'), female('نائبة وكيل الملك'), male('نائب وكيل الملك')]).combinedJobTitle, 'نواب وكيل الملك لدى ');
+});
+
+test('mixed titles are declined per sub-group', () => {
+    const result = process([male('قاضي', 'أحمد'), female('مستشارة', 'سعاد'), male('قاضي', 'محمد')]);
+    assert.equal(result.combinedJobTitle, `القاضيين ب${LOCATION} والمستشارة ب`);
+    assert.equal(result.collective_title, 'بالسيدين أحمد و محمد و السيدة سعاد');
+    assert.deepEqual(result.titleGroups.map(group => [group.declinedTitle, group.gender, group.count, group.names]), [
+        ['القاضيين', 'm', 2, 'أحمد و محمد'],
+        ['المستشارة', 'f', 1, 'سعاد']
+    ]);
+});
+
+test('mixed titles with "لدى" keep a space before the location', () => {
+    const result = process([male('وكيل الملك', 'أحمد'), male('قاضي', 'محمد')]);
+    assert.equal(result.combinedJobTitle, `وكيل الملك لدى ${LOCATION} والقاضي ب`);
+});
+
+test('without a shared work location each title is completed with its own', () => {
+    const result = processGroupData([
+        male('قاضي', 'أحمد'),
+        { ...female('مستشارة', 'سعاد'), workLocation: 'محكمة الاستئناف' }
+    ], '', dictionary);
+    assert.equal(result.combinedJobTitle, `القاضي ب${LOCATION} والمستشارة بمحكمة الاستئناف`);
+    assert.equal(processGroupData([male('قاضي', 'أحمد')], '', dictionary).combinedJobTitle, `القاضي ب${LOCATION}`);
+    assert.equal(
+        processGroupData([male('وكيل الملك', 'أحمد'), male('قاضي', 'محمد')], '', dictionary).combinedJobTitle,
+        `وكيل الملك لدى ${LOCATION} والقاضي ب${LOCATION}`
+    );
+});
+
+test('an empty group produces empty strings', () => {
+    const result = process([]);
+    assert.equal(result.collective_title, '');
+    assert.equal(result.combinedJobTitle, '');
+    assert.equal(result.invitees_names, '');
+    assert.deepEqual(result.titleGroups, []);
+});